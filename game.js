@@ -5,6 +5,263 @@
  * All game logic is server-authoritative.
  */
 
+// ============================================
+// Spell Manifest
+// ============================================
+
+const SPELL_MANIFEST_URL = 'assets/spell_manifest.json';
+const FALLBACK_SPELL_ART = 'assets/spell_cards/card_img_light_attack.png';
+
+// Built-in type defaults, so badges and art still work when the manifest
+// can't be fetched (file://, offline). The manifest overrides these.
+const DEFAULT_SPELL_TYPES = {
+    attack: { label: 'Attack', art: 'assets/spell_cards/card_img_light_attack.png', color: '#c85a54', description: 'Strikes a chosen wizard.' },
+    attack_all: { label: 'Area Attack', art: 'assets/spell_cards/card_img_group_attack.png', color: '#c85a54', description: 'Strikes every rival wizard at once.' },
+    heal: { label: 'Heal', art: 'assets/spell_cards/card_img_healing.png', color: '#6b8e4e', description: 'Restores lost HP.' },
+    shield: { label: 'Shield', art: 'assets/spell_cards/card_img_shield.png', color: '#6b8e4e', description: 'Absorbs part of the damage taken this turn.' },
+};
+
+// Manifest colors end up in a style attribute, so only plain color values pass
+const SPELL_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\(\s*[\d.%]+(\s*,\s*[\d.%]+){2,3}\s*\))$/i;
+
+/**
+ * Art, type badge, color and description per spell id. The bundled
+ * manifest is loaded at startup; a server can extend or override it by
+ * sending spell_manifest with joined_room. Spells missing from both fall
+ * back to their spell_type defaults, then to a generic card.
+ */
+const spellManifest = {
+    types: { ...DEFAULT_SPELL_TYPES },
+    spells: {},
+    byName: {},
+
+    fetchBundled() {
+        return fetch(SPELL_MANIFEST_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(manifest => this.load(manifest))
+            .catch(err => console.warn(`Failed to load spell manifest: ${err.message}`));
+    },
+
+    load(manifest) {
+        Object.assign(this.types, manifest.types || {});
+        Object.assign(this.spells, manifest.spells || {});
+
+        // Resolution effects may only carry the spell's name
+        this.byName = {};
+        for (const entry of Object.values(this.spells)) {
+            if (entry.name) {
+                this.byName[entry.name] = entry;
+            }
+        }
+    },
+
+    /**
+     * Display info for a spell from available_spells, or anything with
+     * the same id / name / spell_type fields (e.g. a resolution effect).
+     */
+    describe(spell) {
+        const entry = this.spells[spell.id] || this.byName[spell.name] || null;
+        const spellType = spell.spell_type || (entry && entry.type) || null;
+        const typeEntry = this.types[spellType] || {};
+        const color = (entry && entry.color) || typeEntry.color || null;
+
+        return {
+            known: Boolean(entry),
+            art: (entry && entry.art) || typeEntry.art || FALLBACK_SPELL_ART,
+            label: (entry && entry.type_label) || typeEntry.label || t('spells.fallback_type'),
+            color: color && SPELL_COLOR_PATTERN.test(color) ? color : null,
+            description: (entry && entry.description) || typeEntry.description || '',
+            typeClass: spellType ? `type-${spellType.replace(/_/g, '-')}` : 'type-unknown',
+        };
+    },
+
+    artPaths() {
+        const paths = [...Object.values(this.types), ...Object.values(this.spells)]
+            .map(entry => entry.art)
+            .filter(Boolean);
+        return [...new Set([FALLBACK_SPELL_ART, ...paths])];
+    },
+};
+
+// ============================================
+// Saved Settings
+// ============================================
+
+/**
+ * localStorage that never throws. Storage can be unavailable (privacy
+ * mode, file://) or hold something unreadable; either way a setting
+ * reads back as null and a failed save still applies for this visit.
+ */
+const savedSettings = {
+    get(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (err) {
+            return null;
+        }
+    },
+
+    set(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (err) {
+            // Not remembered next visit
+        }
+    },
+
+    getJson(key) {
+        try {
+            return JSON.parse(this.get(key));
+        } catch (err) {
+            return null;
+        }
+    },
+
+    setJson(key, value) {
+        this.set(key, JSON.stringify(value));
+    },
+};
+
+// ============================================
+// Internationalization
+// ============================================
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'typomancers.locale';
+
+/**
+ * UI text lookup over the LOCALES catalogs in locales.js, with {name}
+ * interpolation, plural selection by {count} and locale-aware number
+ * formatting. Numeric parameters are formatted for the current locale.
+ */
+const i18n = {
+    locale: DEFAULT_LOCALE,
+    pluralRules: new Intl.PluralRules(DEFAULT_LOCALE),
+    numberFormats: new Map(),
+
+    // Saved choice first, then the browser's preferred languages
+    init() {
+        const saved = savedSettings.get(LOCALE_STORAGE_KEY);
+        const preferred = [saved, ...(navigator.languages || [navigator.language])].filter(Boolean);
+        const match = preferred.map(tag => this.resolve(tag)).find(Boolean);
+        this.setLocale(match || DEFAULT_LOCALE);
+    },
+
+    resolve(tag) {
+        if (LOCALES[tag]) {
+            return tag;
+        }
+        const base = tag.split('-')[0].toLowerCase();
+        return LOCALES[base] ? base : null;
+    },
+
+    setLocale(locale) {
+        this.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormats.clear();
+        document.documentElement.lang = this.locale;
+    },
+
+    save() {
+        savedSettings.set(LOCALE_STORAGE_KEY, this.locale);
+    },
+
+    lookup(locale, key) {
+        return key.split('.').reduce(
+            (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+            LOCALES[locale].messages,
+        );
+    },
+
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined || this.lookup(DEFAULT_LOCALE, key) !== undefined;
+    },
+
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) {
+            message = this.lookup(DEFAULT_LOCALE, key);
+        }
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) {
+                return match;
+            }
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    formatNumber(value, options = {}) {
+        const cacheKey = JSON.stringify(options);
+        let format = this.numberFormats.get(cacheKey);
+        if (!format) {
+            format = new Intl.NumberFormat(this.locale, options);
+            this.numberFormats.set(cacheKey, format);
+        }
+        return format.format(value);
+    },
+
+    // ratio is a fraction, e.g. 0.953 -> "95.3%"
+    formatPercent(ratio, fractionDigits = 0) {
+        return this.formatNumber(ratio, {
+            style: 'percent',
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits,
+        });
+    },
+
+    formatDecimal(value, fractionDigits = 1) {
+        return this.formatNumber(value, {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits,
+        });
+    },
+
+    formatDateTime(date) {
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+    },
+
+    formatList(items) {
+        if (typeof Intl.ListFormat === 'function') {
+            return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items);
+        }
+        return items.join(', ');
+    },
+};
+
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+/**
+ * Fill static markup from the catalog: data-i18n sets the text,
+ * data-i18n-placeholder and data-i18n-title set those attributes.
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
+
+i18n.init();
+
 // ============================================
 // Image Preloader
 // ============================================
@@ -34,17 +291,19 @@ const imagePreloader = {
         'assets/purple_attack.png',
         'assets/yellow_idle.png',
         'assets/yellow_attack.png',
-        // Spell cards
-        'assets/spell_cards/card_img_light_attack.png',
-        'assets/spell_cards/card_img_light_attack_2.png',
-        'assets/spell_cards/card_img_heavy_attack.png',
-        'assets/spell_cards/card_img_group_attack.png',
-        'assets/spell_cards/card_img_healing.png',
-        'assets/spell_cards/card_img_shield.png',
+        // Spell cards are added from the spell manifest
     ],
 
+    // Non-image assets (rendered sound cues) that count toward the loading
+    // progress: functions returning a promise, registered with addTask()
+    tasks: [],
+
+    addTask(load) {
+        this.tasks.push(load);
+    },
+
     preload(onProgress, onComplete) {
-        this.total = this.imagePaths.length;
+        this.total = this.imagePaths.length + this.tasks.length;
         this.loaded = 0;
 
         if (this.total === 0) {
@@ -52,48 +311,71 @@ const imagePreloader = {
             return;
         }
 
+        const step = () => {
+            this.loaded++;
+            if (onProgress) onProgress(this.loaded, this.total);
+            if (this.loaded === this.total && onComplete) {
+                onComplete();
+            }
+        };
+
         this.imagePaths.forEach(path => {
             const img = new Image();
-            img.onload = () => {
-                this.loaded++;
-                if (onProgress) onProgress(this.loaded, this.total);
-                if (this.loaded === this.total && onComplete) {
-                    onComplete();
-                }
-            };
+            img.onload = step;
             img.onerror = () => {
                 console.warn(`Failed to preload: ${path}`);
-                this.loaded++;
-                if (onProgress) onProgress(this.loaded, this.total);
-                if (this.loaded === this.total && onComplete) {
-                    onComplete();
-                }
+                step();
             };
             img.src = path;
             this.images.push(img);
         });
+
+        this.tasks.forEach(load => {
+            load().catch(err => console.warn('Failed to preload:', err)).then(step);
+        });
+    },
+
+    // Quietly fetch art that turns up after the initial preload
+    preloadMore(paths) {
+        for (const path of paths) {
+            if (this.imagePaths.includes(path)) {
+                continue;
+            }
+            this.imagePaths.push(path);
+            const img = new Image();
+            img.src = path;
+            this.images.push(img);
+        }
     }
 };
 
-// Start preloading immediately
-imagePreloader.preload(
-    (loaded, total) => {
-        const percent = Math.round((loaded / total) * 100);
-        const loadingIndicator = document.getElementById('loading-indicator');
-        if (loadingIndicator) {
-            loadingIndicator.textContent = `Loading assets... ${percent}%`;
-            if (loaded === total) {
-                loadingIndicator.textContent = 'Ready!';
-                setTimeout(() => {
-                    loadingIndicator.style.display = 'none';
-                }, 500);
+// Start preloading immediately, once the manifest has named the spell art
+spellManifest.fetchBundled().then(() => {
+    imagePreloader.imagePaths.push(...spellManifest.artPaths());
+    startPreload();
+});
+
+function startPreload() {
+    imagePreloader.preload(
+        (loaded, total) => {
+            const loadingIndicator = document.getElementById('loading-indicator');
+            if (loadingIndicator) {
+                // Progress text is live; a language switch picks it up on the next tick
+                delete loadingIndicator.dataset.i18n;
+                loadingIndicator.textContent = t('loading.progress', { percent: i18n.formatPercent(loaded / total) });
+                if (loaded === total) {
+                    loadingIndicator.textContent = t('loading.ready');
+                    setTimeout(() => {
+                        loadingIndicator.style.display = 'none';
+                    }, 500);
+                }
             }
+        },
+        () => {
+            console.log('All assets preloaded');
         }
-    },
-    () => {
-        console.log('All images preloaded');
-    }
-);
+    );
+}
 
 // ============================================
 // State
@@ -107,8 +389,10 @@ const state = {
     roomState: null,
     gameState: null,
     selectedSpell: null,
-    selectedTarget: null,
+    selectedTargets: [],
+    targetsSubmitted: false, // multi-target picks confirmed, awaiting the server
     typingStartTime: null,
+    typingKeystrokes: null,
     typingSubmitted: false,
     timerInterval: null,
     joiningRoom: false,
@@ -117,7 +401,27 @@ const state = {
     selectedHauntType: null,
     selectedHauntTarget: null,
     ghostTypingStartTime: null,
+    ghostTypingKeystrokes: null,
     ghostTypingSubmitted: false,
+    // Reconnection state
+    serverUrl: null,
+    sessionToken: null,
+    reconnecting: false,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    resumePending: false,
+    lastTypingSubmission: null,
+    lastGhostTypingSubmission: null,
+    // Local-clock time at which the current phase ends (see computePhaseDeadline)
+    phaseDeadline: null,
+    // Watching the room rather than playing in it
+    isSpectator: false,
+    // Active replay playback (see startReplay), null during live play
+    replay: null,
+    // Local playback clock for the resolution animation (see renderResolution)
+    resolutionView: null,
+    // Live typing progress this turn by player id (see measureTypingProgress)
+    typingProgress: {},
 };
 
 // ============================================
@@ -136,25 +440,56 @@ const elements = {
     playerNameInput: document.getElementById('player-name'),
     serverUrlInput: document.getElementById('server-url'),
     roomIdInput: document.getElementById('room-id'),
-    timerSecondsInput: document.getElementById('timer-seconds'),
+    watchBtn: document.getElementById('watch-btn'),
+    quickMatchBtn: document.getElementById('quick-match-btn'),
+    findRoomsBtn: document.getElementById('find-rooms-btn'),
+    roomListStatus: document.getElementById('room-list-status'),
+    roomList: document.getElementById('room-list'),
+    recentServers: document.getElementById('recent-servers'),
+    recentRooms: document.getElementById('recent-rooms'),
+    inviteSummary: document.getElementById('invite-summary'),
+    practiceBtn: document.getElementById('practice-btn'),
+    replayFileInput: document.getElementById('replay-file'),
+    languageSelect: document.getElementById('language-select'),
+    reduceMotionToggle: document.getElementById('reduce-motion-toggle'),
+    masterVolume: document.getElementById('master-volume'),
+    musicVolume: document.getElementById('music-volume'),
+    sfxVolume: document.getElementById('sfx-volume'),
+    muteToggle: document.getElementById('mute-toggle'),
+    gameMuteBtn: document.getElementById('game-mute-btn'),
+
+    // Screen reader live regions
+    announcer: document.getElementById('announcer'),
+    alertAnnouncer: document.getElementById('alert-announcer'),
     connectionError: document.getElementById('connection-error'),
+    connectionStatus: document.getElementById('connection-status'),
 
     // Lobby
     lobbyRoomId: document.getElementById('lobby-room-id'),
+    copyInviteBtn: document.getElementById('copy-invite-btn'),
     lobbyPlayers: document.getElementById('lobby-players'),
     lobbyStatus: document.getElementById('lobby-status'),
+    lobbySpectators: document.getElementById('lobby-spectators'),
     startGameBtn: document.getElementById('start-game-btn'),
+    readyBtn: document.getElementById('ready-btn'),
+    lobbySettings: document.getElementById('lobby-settings'),
+    settingTimer: document.getElementById('setting-timer'),
+    lobbySettingsNote: document.getElementById('lobby-settings-note'),
+    settingMaxPlayers: document.getElementById('setting-max-players'),
+    settingSpellList: document.getElementById('setting-spell-list'),
 
     // Game
     turnNumber: document.getElementById('turn-number'),
     phaseIndicator: document.getElementById('phase-indicator'),
     timerDisplay: document.getElementById('timer-display'),
+    spectatorBadge: document.getElementById('spectator-badge'),
     playersStatus: document.getElementById('players-status'),
 
     // Phases
     spellSelection: document.getElementById('spell-selection'),
     spellOptions: document.getElementById('spell-options'),
     targetSelection: document.getElementById('target-selection'),
+    targetSelectionTitle: document.getElementById('target-selection-title'),
     targetOptions: document.getElementById('target-options'),
     typingPhase: document.getElementById('typing-phase'),
     typingInput: document.getElementById('typing-input'),
@@ -162,8 +497,14 @@ const elements = {
     submitTypingBtn: document.getElementById('submit-typing-btn'),
     resolutionPhase: document.getElementById('resolution-phase'),
     resolutionResults: document.getElementById('resolution-results'),
+    emoteBar: document.getElementById('emote-bar'),
+    emoteFeed: document.getElementById('emote-feed'),
+    resolutionPauseBtn: document.getElementById('resolution-pause-btn'),
+    resolutionSkipBtn: document.getElementById('resolution-skip-btn'),
+    resolutionReplayBtn: document.getElementById('resolution-replay-btn'),
     waitingOverlay: document.getElementById('waiting-overlay'),
     waitingMessage: document.getElementById('waiting-message'),
+    waitingDetail: document.getElementById('waiting-detail'),
 
     // Ghost phases
     ghostHauntSelection: document.getElementById('ghost-haunt-selection'),
@@ -173,6 +514,7 @@ const elements = {
     ghostTypingPhase: document.getElementById('ghost-typing-phase'),
     hauntTargetName: document.getElementById('haunt-target-name'),
     ghostTypingFeedback: document.getElementById('ghost-typing-feedback'),
+    hauntRace: document.getElementById('haunt-race'),
     ghostTypingInput: document.getElementById('ghost-typing-input'),
     submitGhostTypingBtn: document.getElementById('submit-ghost-typing-btn'),
 
@@ -181,7 +523,42 @@ const elements = {
     winnerName: document.getElementById('winner-name'),
     playerStats: document.getElementById('player-stats'),
     finalScores: document.getElementById('final-scores'),
+    matchTimeline: document.getElementById('match-timeline'),
+    timelineDeciders: document.getElementById('timeline-deciders'),
+    timelineHpChart: document.getElementById('timeline-hp-chart'),
+    timelineLegend: document.getElementById('timeline-legend'),
+    timelineTurns: document.getElementById('timeline-turns'),
     playAgainBtn: document.getElementById('play-again-btn'),
+    exportReplayBtn: document.getElementById('export-replay-btn'),
+    gameoverHistoryBtn: document.getElementById('gameover-history-btn'),
+
+    // Match history
+    historyBtn: document.getElementById('history-btn'),
+    historySummary: document.getElementById('history-summary'),
+    historyCharts: document.getElementById('history-charts'),
+    historyWpmChart: document.getElementById('history-wpm-chart'),
+    historyAccuracyChart: document.getElementById('history-accuracy-chart'),
+    historyList: document.getElementById('history-list'),
+    historyExportJsonBtn: document.getElementById('history-export-json-btn'),
+    historyExportCsvBtn: document.getElementById('history-export-csv-btn'),
+    historyBackBtn: document.getElementById('history-back-btn'),
+
+    // Chat (same panel in the lobby and on the game-over screen)
+    lobbyChatLog: document.getElementById('lobby-chat-log'),
+    lobbyChatForm: document.getElementById('lobby-chat-form'),
+    lobbyChatInput: document.getElementById('lobby-chat-input'),
+    gameoverChatLog: document.getElementById('gameover-chat-log'),
+    gameoverChatForm: document.getElementById('gameover-chat-form'),
+    gameoverChatInput: document.getElementById('gameover-chat-input'),
+
+    // Replay viewer
+    replayControls: document.getElementById('replay-controls'),
+    replayPlayBtn: document.getElementById('replay-play-btn'),
+    replayPrevTurnBtn: document.getElementById('replay-prev-turn-btn'),
+    replayNextTurnBtn: document.getElementById('replay-next-turn-btn'),
+    replayScrubber: document.getElementById('replay-scrubber'),
+    replayTime: document.getElementById('replay-time'),
+    replayExitBtn: document.getElementById('replay-exit-btn'),
 };
 
 // ============================================
@@ -189,7 +566,7 @@ const elements = {
 // ============================================
 
 function showScreen(screenId) {
-    ['landing-screen', 'lobby-screen', 'game-screen', 'gameover-screen'].forEach(id => {
+    ['landing-screen', 'lobby-screen', 'game-screen', 'gameover-screen', 'history-screen'].forEach(id => {
         const el = document.getElementById(id);
         if (id === screenId) {
             el.classList.remove('hidden');
@@ -199,48 +576,425 @@ function showScreen(screenId) {
             el.classList.remove('active');
         }
     });
+    audioEngine.setMusicPlaying(MUSIC_SCREENS.includes(screenId));
+}
+
+// ============================================
+// Accessibility
+// ============================================
+
+// Long enough for screen readers to notice the region was cleared
+const ANNOUNCE_DELAY_MS = 100;
+const REDUCE_MOTION_STORAGE_KEY = 'typomancers.reduceMotion';
+
+/**
+ * Screen reader announcements through the live regions in index.html.
+ * Messages queued in the same moment are read together; urgent ones
+ * go to the assertive region and interrupt.
+ */
+const announcer = {
+    pending: { polite: [], urgent: [] },
+    flushTimer: null,
+
+    say(message, { urgent = false } = {}) {
+        if (!message) return;
+        this.pending[urgent ? 'urgent' : 'polite'].push(message);
+        if (this.flushTimer) return;
+
+        // Clearing first makes a repeated message count as a change
+        elements.announcer.textContent = '';
+        elements.alertAnnouncer.textContent = '';
+        this.flushTimer = setTimeout(() => this.flush(), ANNOUNCE_DELAY_MS);
+    },
+
+    flush() {
+        this.flushTimer = null;
+        if (this.pending.polite.length > 0) {
+            elements.announcer.textContent = this.pending.polite.join(' ');
+        }
+        if (this.pending.urgent.length > 0) {
+            elements.alertAnnouncer.textContent = this.pending.urgent.join(' ');
+        }
+        this.pending = { polite: [], urgent: [] };
+    },
+};
+
+/**
+ * Reduced motion follows the system prefers-reduced-motion setting until
+ * the player flips the landing screen toggle, which is then remembered.
+ * While on, the background stops cycling and resolution cards appear
+ * without fading.
+ */
+const motionSettings = {
+    query: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null,
+    override: null,
+
+    init() {
+        const saved = savedSettings.get(REDUCE_MOTION_STORAGE_KEY);
+        if (saved !== null) {
+            this.override = saved === 'true';
+        }
+        if (this.query && this.query.addEventListener) {
+            this.query.addEventListener('change', () => this.apply());
+        }
+        this.apply();
+    },
+
+    get reduced() {
+        return this.override !== null ? this.override : Boolean(this.query && this.query.matches);
+    },
+
+    set(reduced) {
+        this.override = reduced;
+        savedSettings.set(REDUCE_MOTION_STORAGE_KEY, String(reduced));
+        this.apply();
+    },
+
+    apply() {
+        document.documentElement.classList.toggle('reduce-motion', this.reduced);
+        elements.reduceMotionToggle.checked = this.reduced;
+    },
+};
+
+motionSettings.init();
+
+elements.reduceMotionToggle.addEventListener('change', () => {
+    motionSettings.set(elements.reduceMotionToggle.checked);
+});
+
+// ============================================
+// Audio
+// ============================================
+
+const AUDIO_SETTINGS_STORAGE_KEY = 'typomancers.audio';
+const AUDIO_SAMPLE_RATE = 44100;
+const AUDIO_DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8 };
+
+// The music loop plays from the lobby through the game-over screen
+const MUSIC_SCREENS = ['lobby-screen', 'game-screen', 'gameover-screen'];
+
+/**
+ * Sound effects are synthesized, not shipped as files. Each note is
+ * [frequency Hz, start s, length s, glide-to Hz?] on the cue's waveform;
+ * noise adds a decaying burst of that many seconds for impacts.
+ */
+const AUDIO_CUES = {
+    phase_change: { wave: 'triangle', gain: 0.2, notes: [[523, 0, 0.12], [784, 0.09, 0.2]] },
+    timer_tick: { wave: 'square', gain: 0.1, notes: [[1319, 0, 0.06]] },
+    key_click: { wave: 'triangle', gain: 0.08, notes: [[1760, 0, 0.025]] },
+    key_error: { wave: 'sawtooth', gain: 0.12, notes: [[110, 0, 0.14]] },
+    impact_attack: { wave: 'square', gain: 0.16, notes: [[180, 0, 0.25, 60]], noise: 0.2 },
+    impact_attack_all: { wave: 'square', gain: 0.16, notes: [[150, 0, 0.35, 50], [190, 0.05, 0.3, 55]], noise: 0.35 },
+    impact_kill: { wave: 'sawtooth', gain: 0.2, notes: [[140, 0, 0.6, 40]], noise: 0.45 },
+    impact_heal: { wave: 'sine', gain: 0.18, notes: [[523, 0, 0.15], [659, 0.08, 0.15], [784, 0.16, 0.3]] },
+    impact_shield: { wave: 'triangle', gain: 0.14, notes: [[392, 0, 0.4], [587, 0, 0.4], [784, 0.05, 0.35]] },
+    penalty: { wave: 'square', gain: 0.12, notes: [[330, 0, 0.15, 220], [220, 0.15, 0.25, 147]] },
+    haunt: { wave: 'sine', gain: 0.18, notes: [[880, 0, 0.8, 440], [932, 0.1, 0.7, 466]] },
+    victory: { wave: 'triangle', gain: 0.2, notes: [[523, 0, 0.15], [659, 0.15, 0.15], [784, 0.3, 0.15], [1047, 0.45, 0.7], [784, 0.45, 0.7]] },
+    defeat: { wave: 'triangle', gain: 0.18, notes: [[392, 0, 0.3], [311, 0.3, 0.3], [262, 0.6, 0.9]] },
+};
+
+// Four chords, two bars each: a held bass note under a rising arpeggio
+const MUSIC_BEAT_SECONDS = 60 / 84;
+const MUSIC_CHORDS = [[220, 262, 330], [175, 220, 262], [262, 330, 392], [196, 247, 294]];
+
+function buildMusicLoop() {
+    const bass = { wave: 'sine', gain: 0.12, notes: [] };
+    const arpeggio = { wave: 'triangle', gain: 0.05, notes: [] };
+    const bar = MUSIC_BEAT_SECONDS * 4;
+    MUSIC_CHORDS.forEach((chord, index) => {
+        const barStart = index * bar * 2;
+        bass.notes.push([chord[0] / 2, barStart, bar * 2]);
+        for (let step = 0; step < 16; step++) {
+            const tone = chord[step % chord.length] * (step % 8 < 4 ? 2 : 4);
+            arpeggio.notes.push([tone, barStart + step * MUSIC_BEAT_SECONDS / 2, MUSIC_BEAT_SECONDS / 2]);
+        }
+    });
+    return { voices: [bass, arpeggio], duration: MUSIC_CHORDS.length * bar * 2 };
+}
+
+/**
+ * Render voices into an AudioBuffer ahead of time, so playing a cue is
+ * just starting a buffer source.
+ */
+function renderAudioVoices(voices, duration) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const ctx = new OfflineContext(1, Math.ceil(duration * AUDIO_SAMPLE_RATE), AUDIO_SAMPLE_RATE);
+
+    for (const voice of voices) {
+        for (const [frequency, start, length, glideTo] of voice.notes) {
+            const osc = ctx.createOscillator();
+            const envelope = ctx.createGain();
+            osc.type = voice.wave;
+            osc.frequency.setValueAtTime(frequency, start);
+            if (glideTo) {
+                osc.frequency.exponentialRampToValueAtTime(glideTo, start + length);
+            }
+            // Quick attack and an exponential release, so notes don't click
+            envelope.gain.setValueAtTime(0.0001, start);
+            envelope.gain.exponentialRampToValueAtTime(voice.gain, start + 0.01);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, start + length);
+            osc.connect(envelope).connect(ctx.destination);
+            osc.start(start);
+            osc.stop(start + length);
+        }
+
+        if (voice.noise) {
+            const samples = Math.ceil(voice.noise * AUDIO_SAMPLE_RATE);
+            const noise = ctx.createBuffer(1, samples, AUDIO_SAMPLE_RATE);
+            const data = noise.getChannelData(0);
+            for (let i = 0; i < samples; i++) {
+                data[i] = (Math.random() * 2 - 1) * (1 - i / samples) ** 2;
+            }
+            const source = ctx.createBufferSource();
+            const filter = ctx.createBiquadFilter();
+            const level = ctx.createGain();
+            source.buffer = noise;
+            filter.type = 'lowpass';
+            filter.frequency.value = 1200;
+            level.gain.value = voice.gain;
+            source.connect(filter).connect(level).connect(ctx.destination);
+            source.start(0);
+        }
+    }
+
+    return ctx.startRendering();
 }
 
+function getCueDuration(cue) {
+    const notesEnd = Math.max(0, ...cue.notes.map(([, start, length]) => start + length));
+    return Math.max(notesEnd, cue.noise || 0) + 0.05;
+}
+
+/**
+ * Web Audio playback through a master / music / effects mixer. Cues are
+ * rendered during the loading screen; the AudioContext itself waits for
+ * the first click or key press, as browsers require. Volumes and mute
+ * are remembered between visits.
+ */
+const audioEngine = {
+    supported: Boolean((window.AudioContext || window.webkitAudioContext)
+        && (window.OfflineAudioContext || window.webkitOfflineAudioContext)),
+    context: null,
+    channels: null, // master, music and sfx gain nodes once unlocked
+    buffers: new Map(),
+    settings: { ...AUDIO_DEFAULT_VOLUMES, muted: false },
+    musicSource: null,
+    wantMusic: false,
+    scheduled: new Set(),
+
+    init() {
+        const saved = savedSettings.getJson(AUDIO_SETTINGS_STORAGE_KEY);
+        if (saved && typeof saved === 'object') {
+            for (const channel of Object.keys(AUDIO_DEFAULT_VOLUMES)) {
+                if (typeof saved[channel] === 'number') {
+                    this.settings[channel] = Math.min(1, Math.max(0, saved[channel]));
+                }
+            }
+            this.settings.muted = saved.muted === true;
+        }
+
+        if (this.supported) {
+            for (const [name, cue] of Object.entries(AUDIO_CUES)) {
+                imagePreloader.addTask(() => this.render(name, [cue], getCueDuration(cue)));
+            }
+            const music = buildMusicLoop();
+            imagePreloader.addTask(() => this.render('music', music.voices, music.duration));
+
+            const unlock = () => {
+                document.removeEventListener('pointerdown', unlock, true);
+                document.removeEventListener('keydown', unlock, true);
+                this.unlock();
+            };
+            document.addEventListener('pointerdown', unlock, true);
+            document.addEventListener('keydown', unlock, true);
+        }
+
+        this.apply();
+    },
+
+    async render(name, voices, duration) {
+        this.buffers.set(name, await renderAudioVoices(voices, duration));
+        if (name === 'music') {
+            this.updateMusic();
+        }
+    },
+
+    unlock() {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        this.context = new Context();
+        this.channels = {
+            master: this.context.createGain(),
+            music: this.context.createGain(),
+            sfx: this.context.createGain(),
+        };
+        this.channels.music.connect(this.channels.master);
+        this.channels.sfx.connect(this.channels.master);
+        this.channels.master.connect(this.context.destination);
+        this.apply();
+        this.updateMusic();
+    },
+
+    play(name) {
+        const buffer = this.buffers.get(name);
+        if (!this.context || this.settings.muted || !buffer) {
+            return;
+        }
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.channels.sfx);
+        source.start();
+    },
+
+    // Play a cue after delayMs; negative delays are cues already past
+    schedule(name, delayMs) {
+        if (delayMs < 0) {
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.scheduled.delete(timer);
+            this.play(name);
+        }, delayMs);
+        this.scheduled.add(timer);
+    },
+
+    cancelScheduled() {
+        this.scheduled.forEach(timer => clearTimeout(timer));
+        this.scheduled.clear();
+    },
+
+    setMusicPlaying(playing) {
+        this.wantMusic = playing;
+        this.updateMusic();
+    },
+
+    updateMusic() {
+        const buffer = this.buffers.get('music');
+        if (this.wantMusic && !this.musicSource && this.context && buffer) {
+            this.musicSource = this.context.createBufferSource();
+            this.musicSource.buffer = buffer;
+            this.musicSource.loop = true;
+            this.musicSource.connect(this.channels.music);
+            this.musicSource.start();
+        } else if (!this.wantMusic && this.musicSource) {
+            this.musicSource.stop();
+            this.musicSource = null;
+        }
+    },
+
+    setVolume(channel, volume) {
+        this.settings[channel] = volume;
+        this.save();
+        this.apply();
+    },
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        if (muted) {
+            this.cancelScheduled();
+        }
+        this.save();
+        this.apply();
+    },
+
+    save() {
+        savedSettings.setJson(AUDIO_SETTINGS_STORAGE_KEY, this.settings);
+    },
+
+    apply() {
+        const { master, music, sfx, muted } = this.settings;
+        if (this.channels) {
+            this.channels.master.gain.value = muted ? 0 : master;
+            this.channels.music.gain.value = music;
+            this.channels.sfx.gain.value = sfx;
+        }
+        elements.masterVolume.value = Math.round(master * 100);
+        elements.musicVolume.value = Math.round(music * 100);
+        elements.sfxVolume.value = Math.round(sfx * 100);
+        elements.muteToggle.checked = muted;
+        elements.gameMuteBtn.textContent = muted ? '🔇' : '🔊';
+        elements.gameMuteBtn.setAttribute('aria-pressed', String(muted));
+    },
+};
+
+audioEngine.init();
+
+[
+    [elements.masterVolume, 'master'],
+    [elements.musicVolume, 'music'],
+    [elements.sfxVolume, 'sfx'],
+].forEach(([slider, channel]) => {
+    slider.addEventListener('input', () => {
+        audioEngine.setVolume(channel, Number(slider.value) / 100);
+    });
+});
+
+// A sample at the new level once the effects slider is let go
+elements.sfxVolume.addEventListener('change', () => audioEngine.play('impact_heal'));
+
+elements.muteToggle.addEventListener('change', () => {
+    audioEngine.setMuted(elements.muteToggle.checked);
+});
+
+elements.gameMuteBtn.addEventListener('click', () => {
+    audioEngine.setMuted(!audioEngine.settings.muted);
+});
+
 // ============================================
 // WebSocket Communication
 // ============================================
 
+function normalizeServerUrl(serverUrl) {
+    // Normalize URL: ensure it starts with ws:// or wss://
+    let wsUrl = serverUrl.trim();
+    if (wsUrl.startsWith('https://')) {
+        wsUrl = 'wss://' + wsUrl.slice(8);
+    } else if (wsUrl.startsWith('http://')) {
+        wsUrl = 'ws://' + wsUrl.slice(7);
+    } else if (!wsUrl.startsWith('ws://') && !wsUrl.startsWith('wss://')) {
+        // Assume ws:// for bare URLs
+        wsUrl = 'ws://' + wsUrl;
+    }
+    return wsUrl;
+}
+
+/**
+ * Open a connection to the given server. `local://` URLs connect to the
+ * in-page practice server (local-server.js) instead of a real WebSocket;
+ * both expose the same readyState / send / close / on* surface.
+ */
+function createTransport(serverUrl) {
+    if (isLocalServerUrl(serverUrl)) {
+        return createLocalTransport();
+    }
+    return new WebSocket(normalizeServerUrl(serverUrl));
+}
+
 function connect(serverUrl) {
     return new Promise((resolve, reject) => {
         try {
-            // Normalize URL: ensure it starts with ws:// or wss://
-            let wsUrl = serverUrl.trim();
-            if (wsUrl.startsWith('https://')) {
-                wsUrl = 'wss://' + wsUrl.slice(8);
-            } else if (wsUrl.startsWith('http://')) {
-                wsUrl = 'ws://' + wsUrl.slice(7);
-            } else if (!wsUrl.startsWith('ws://') && !wsUrl.startsWith('wss://')) {
-                // Assume ws:// for bare URLs
-                wsUrl = 'ws://' + wsUrl;
-            }
+            const ws = createTransport(serverUrl);
+            state.ws = ws;
+            state.serverUrl = serverUrl;
 
-            state.ws = new WebSocket(wsUrl);
-
-            state.ws.onopen = () => {
+            ws.onopen = () => {
+                startClockSync();
                 resolve();
             };
 
-            state.ws.onclose = () => {
-                // Reset join state so user can try again
-                state.joiningRoom = false;
-                const submitBtn = elements.joinForm.querySelector('button[type="submit"]');
-                if (submitBtn) {
-                    submitBtn.disabled = false;
-                    submitBtn.textContent = 'Enter Arena';
+            ws.onclose = () => {
+                // Ignore sockets we've already replaced or abandoned
+                if (state.ws !== ws) {
+                    return;
                 }
-                showError('Connection lost. Please refresh the page.');
+                handleConnectionLost();
             };
 
-            state.ws.onerror = () => {
-                reject(new Error('Failed to connect to server. Check the server URL and ensure the server is running.'));
+            ws.onerror = () => {
+                reject(new Error(t('connection.failed')));
             };
 
-            state.ws.onmessage = (event) => {
+            ws.onmessage = (event) => {
                 handleServerMessage(JSON.parse(event.data));
             };
         } catch (err) {
@@ -249,6 +1003,22 @@ function connect(serverUrl) {
     });
 }
 
+/**
+ * Reuse an open connection to the same server when we haven't joined a
+ * room on it yet (one opened to browse rooms); otherwise connect afresh.
+ */
+function ensureConnected(serverUrl) {
+    const ws = state.ws;
+    if (ws && ws.readyState === WebSocket.OPEN && state.serverUrl === serverUrl && !state.roomId) {
+        return Promise.resolve();
+    }
+    if (ws) {
+        state.ws = null;
+        ws.close();
+    }
+    return connect(serverUrl);
+}
+
 function send(message) {
     if (state.ws && state.ws.readyState === WebSocket.OPEN) {
         state.ws.send(JSON.stringify(message));
@@ -256,6 +1026,8 @@ function send(message) {
 }
 
 function handleServerMessage(msg) {
+    matchRecorder.record(msg, Date.now());
+
     switch (msg.type) {
         case 'joined_room':
             handleJoinedRoom(msg);
@@ -266,31 +1038,259 @@ function handleServerMessage(msg) {
         case 'room_update':
             handleRoomUpdate(msg);
             break;
+        case 'room_list':
+            roomBrowser.receive(msg);
+            break;
         case 'game_update':
             handleGameUpdate(msg);
             break;
+        case 'typing_progress':
+            handleTypingProgress(msg);
+            break;
+        case 'chat':
+            handleChat(msg);
+            break;
+        case 'emote':
+            handleEmote(msg);
+            break;
         case 'pong':
-            // Keep-alive response, ignore
+            // Keep-alive response, doubles as a clock sync sample
+            clockSync.recordPong(msg, Date.now());
             break;
     }
 }
 
 // ============================================
-// Message Handlers
+// Reconnection
 // ============================================
 
-function handleJoinedRoom(msg) {
-    state.playerId = msg.player_id;
-    state.roomId = msg.room_id;
-    state.roomState = msg.room_state;
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const RECONNECT_MAX_ATTEMPTS = 10;
 
-    if (msg.room_state.phase === 'waiting_for_players') {
-        showLobby();
-    } else {
+function canResumeSession() {
+    return Boolean(state.sessionToken && state.roomId && state.playerId && state.serverUrl);
+}
+
+function handleConnectionLost() {
+    // Reset join state so user can try again
+    state.joiningRoom = false;
+    const submitBtn = elements.joinForm.querySelector('button[type="submit"]');
+    if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = t('landing.enter');
+    }
+
+    if (canResumeSession()) {
+        scheduleReconnect();
+        return;
+    }
+
+    showError(t('connection.lost'));
+}
+
+/**
+ * Retry the connection with exponential backoff (plus jitter so a whole
+ * office dropping off the same Wi-Fi doesn't reconnect in lockstep).
+ */
+function scheduleReconnect() {
+    if (state.reconnectTimer) {
+        return;
+    }
+    if (state.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+        abandonSession(t('connection.reconnect_failed'));
+        return;
+    }
+
+    state.reconnecting = true;
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** state.reconnectAttempts);
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+    state.reconnectAttempts++;
+
+    showConnectionStatus(t('connection.reconnecting', { attempt: state.reconnectAttempts, max: RECONNECT_MAX_ATTEMPTS }));
+    state.reconnectTimer = setTimeout(attemptReconnect, delay);
+}
+
+async function attemptReconnect() {
+    state.reconnectTimer = null;
+    try {
+        await connect(state.serverUrl);
+        send({
+            type: 'rejoin_room',
+            room_id: state.roomId,
+            player_id: state.playerId,
+            session_token: state.sessionToken,
+        });
+        // The first game_update after the rejoin tells us what the server kept
+        state.resumePending = true;
+    } catch (err) {
+        // The failed socket's onclose schedules the next attempt
+    }
+}
+
+function finishReconnect() {
+    state.reconnecting = false;
+    state.reconnectAttempts = 0;
+    hideConnectionStatus();
+}
+
+/**
+ * Give up on the current session and return to the landing screen.
+ */
+function abandonSession(message) {
+    if (state.reconnectTimer) {
+        clearTimeout(state.reconnectTimer);
+        state.reconnectTimer = null;
+    }
+    stopTimer();
+
+    const ws = state.ws;
+    state.ws = null;
+    if (ws) {
+        ws.close();
+    }
+
+    state.reconnecting = false;
+    state.reconnectAttempts = 0;
+    state.resumePending = false;
+    state.sessionToken = null;
+    state.playerId = null;
+    state.roomId = null;
+    state.roomState = null;
+    state.gameState = null;
+    state.isSpectator = false;
+    matchTimeline.reset();
+
+    hideConnectionStatus();
+    showScreen('landing-screen');
+    showError(t('connection.rejoin', { message }));
+}
+
+/**
+ * Reconcile local turn progress with the first game_update after a rejoin.
+ * Re-sends any selection or submission the server never received and
+ * restarts the running countdown from the server's remaining time.
+ */
+function resumeTurnProgress() {
+    const game = state.gameState;
+    const self = game.players.find(p => p.id === state.playerId);
+    if (!self) {
+        return;
+    }
+
+    stopTimer();
+
+    if (self.is_ghost) {
+        resumeGhostProgress(game, self);
+        return;
+    }
+
+    switch (game.phase) {
+        case 'spell_selection':
+            if (state.selectedSpell && !self.has_selected_spell) {
+                send({ type: 'select_spell', spell_id: state.selectedSpell });
+            }
+            break;
+        case 'target_selection':
+            if (state.selectedTargets.length > 0 && !self.has_selected_target) {
+                send({ type: 'select_target', target_ids: state.selectedTargets });
+            }
+            break;
+        case 'typing':
+            if (state.typingSubmitted) {
+                if (!self.has_finished_typing && state.lastTypingSubmission) {
+                    send(state.lastTypingSubmission);
+                }
+            } else if (state.typingStartTime && game.typing_phase) {
+                startTimer(game.typing_phase.duration_ms);
+            }
+            break;
+    }
+}
+
+function resumeGhostProgress(game, self) {
+    const gs = self.ghost_state;
+    if (!gs) {
+        return;
+    }
+
+    if (state.selectedHauntType && !gs.has_selected_haunt_type) {
+        send({ type: 'select_haunt_type', haunt_type: state.selectedHauntType });
+    }
+    if (state.selectedHauntTarget && !gs.has_selected_target) {
+        send({ type: 'select_haunt_target', target_id: state.selectedHauntTarget });
+    }
+
+    if (game.phase !== 'typing') {
+        return;
+    }
+    if (state.ghostTypingSubmitted) {
+        if (!gs.has_finished_typing && state.lastGhostTypingSubmission) {
+            send(state.lastGhostTypingSubmission);
+        }
+    } else if (state.ghostTypingStartTime && game.typing_phase) {
+        startGhostTypingTimer(game.typing_phase.duration_ms);
+    }
+}
+
+function showConnectionStatus(message) {
+    elements.connectionStatus.textContent = message;
+    elements.connectionStatus.classList.remove('hidden');
+}
+
+function hideConnectionStatus() {
+    elements.connectionStatus.classList.add('hidden');
+}
+
+// ============================================
+// Message Handlers
+// ============================================
+
+function handleJoinedRoom(msg) {
+    // Colors, chat and the match timeline are kept within a room, not across rooms
+    if (msg.room_id !== state.roomId) {
+        playerColors.reset();
+        chat.reset();
+        matchTimeline.reset();
+    }
+
+    state.playerId = msg.player_id;
+    state.roomId = msg.room_id;
+    state.roomState = msg.room_state;
+    state.isSpectator = Boolean(msg.is_spectator);
+    if (msg.spell_manifest) {
+        spellManifest.load(msg.spell_manifest);
+        imagePreloader.preloadMore(spellManifest.artPaths());
+    }
+    if (msg.session_token) {
+        state.sessionToken = msg.session_token;
+    }
+    if (!isLocalServerUrl(state.serverUrl)) {
+        landingPrefs.rememberRoom(msg.room_id);
+    }
+    if (pendingInvite) {
+        pendingInvite = null;
+        renderInviteSummary();
+    }
+    if (isRoomHost() && msg.room_state.phase === 'waiting_for_players') {
+        applyPreferredTimer(msg.room_state);
+    }
+
+    if (state.reconnecting) {
+        finishReconnect();
+    }
+
+    if (msg.room_state.phase === 'waiting_for_players') {
+        showLobby();
+    } else {
         // Game already in progress (reconnect scenario or instant start)
         showScreen('game-screen');
         // If we already have game state (from a GameUpdate that arrived first), render it now
-        if (state.gameState) {
+        if (state.gameState && state.gameState.phase === 'game_over') {
+            // The game_over arrived before we knew who we were
+            saveFinishedMatch(state.gameState);
+            showGameOver();
+        } else if (state.gameState) {
             renderGame();
             // Start resolution timer if we're joining during resolution phase
             if (state.gameState.phase === 'resolution') {
@@ -301,6 +1301,11 @@ function handleJoinedRoom(msg) {
 }
 
 function handleError(msg) {
+    // A rejected rejoin means the server no longer holds our seat
+    if (state.reconnecting) {
+        abandonSession(msg.message);
+        return;
+    }
     showError(msg.message);
 }
 
@@ -314,9 +1319,18 @@ function handleRoomUpdate(msg) {
 
 function handleGameUpdate(msg) {
     const previousPhase = state.gameState?.phase;
+    const previousTurn = state.gameState?.turn_number;
     const newPhase = msg.game_state.phase;
+    const turnChanged = previousTurn !== undefined && msg.game_state.turn_number !== previousTurn;
 
     state.gameState = msg.game_state;
+    matchTimeline.observe(msg.game_state);
+
+    // Keep the last known deadline if an update within the same phase omits it
+    const deadline = computePhaseDeadline(msg.game_state, Date.now());
+    if (deadline !== null || newPhase !== previousPhase) {
+        state.phaseDeadline = deadline;
+    }
 
     // If we don't have our player ID yet (JoinedRoom hasn't arrived),
     // just store the state and wait. handleJoinedRoom will call renderGame.
@@ -324,17 +1338,36 @@ function handleGameUpdate(msg) {
         return;
     }
 
-    // Only reset per-turn state when phase CHANGES to spell_selection (new turn)
-    if (newPhase === 'spell_selection' && previousPhase !== 'spell_selection') {
+    // Only reset per-turn state when phase CHANGES to spell_selection (new turn),
+    // or when a whole turn went by while we were disconnected
+    if (turnChanged || (newPhase === 'spell_selection' && previousPhase !== 'spell_selection')) {
         state.selectedSpell = null;
-        state.selectedTarget = null;
+        state.selectedTargets = [];
+        state.targetsSubmitted = false;
         state.typingSubmitted = false;
         state.typingStartTime = null;
+        state.typingKeystrokes = null;
         // Reset ghost state
         state.selectedHauntType = null;
         state.selectedHauntTarget = null;
         state.ghostTypingStartTime = null;
+        state.ghostTypingKeystrokes = null;
         state.ghostTypingSubmitted = false;
+        state.lastTypingSubmission = null;
+        state.lastGhostTypingSubmission = null;
+        state.typingProgress = {};
+        progressReporter.cancel();
+        stopTimer();
+    }
+
+    const resuming = state.resumePending;
+    if (resuming) {
+        state.resumePending = false;
+        resumeTurnProgress();
+    }
+
+    // Spectators run a plain countdown for every phase, restarted on each change
+    if (state.isSpectator && newPhase !== previousPhase) {
         stopTimer();
     }
 
@@ -344,17 +1377,32 @@ function handleGameUpdate(msg) {
         stopTimer();
     }
 
-    // Start resolution timer when entering resolution phase
-    if (newPhase === 'resolution' && previousPhase !== 'resolution') {
+    // Start resolution timer when entering resolution phase (or resuming in it)
+    if (newPhase === 'resolution' && (previousPhase !== 'resolution' || resuming)) {
+        if (previousPhase !== 'resolution') {
+            state.resolutionView = null;
+        }
         startResolutionTimer();
     }
 
-    // Stop resolution timer when leaving resolution phase
+    // Stop resolution timer (and any impact sounds still to come) when leaving resolution phase
     if (previousPhase === 'resolution' && newPhase !== 'resolution') {
         stopTimer();
+        audioEngine.cancelScheduled();
+    }
+
+    if (newPhase !== previousPhase && newPhase !== 'game_over') {
+        announcer.say(t('a11y.phase', { phase: formatPhase(newPhase), turn: msg.game_state.turn_number }));
+        audioEngine.play('phase_change');
     }
 
     if (newPhase === 'game_over') {
+        saveFinishedMatch(msg.game_state);
+        if (previousPhase !== 'game_over') {
+            // Spectators cheer the winner too; a player who lost hears the defeat cue
+            const lost = !state.isSpectator && msg.game_state.winner !== state.playerId;
+            audioEngine.play(lost ? 'defeat' : 'victory');
+        }
         showGameOver();
     } else {
         showScreen('game-screen');
@@ -377,33 +1425,42 @@ elements.joinForm.addEventListener('submit', async (e) => {
     const playerName = elements.playerNameInput.value.trim();
     const serverUrl = elements.serverUrlInput.value.trim();
     const roomId = elements.roomIdInput.value.trim();
-    const timerSeconds = parseInt(elements.timerSecondsInput.value) || 30;
+    const spectate = e.submitter === elements.watchBtn;
 
     if (!playerName || !serverUrl || !roomId) {
-        showError('Please fill in all fields');
+        showError(t('landing.fill_all_fields'));
         return;
     }
 
     state.playerName = playerName;
+    landingPrefs.rememberName(playerName);
+    landingPrefs.rememberServer(serverUrl);
 
     // Disable the form while joining
     const submitBtn = elements.joinForm.querySelector('button[type="submit"]');
     const originalBtnText = submitBtn.textContent;
     state.joiningRoom = true;
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Connecting...';
+    submitBtn.textContent = t('landing.connecting');
 
     try {
         hideError();
-        await connect(serverUrl);
+        await ensureConnected(serverUrl);
 
         // Send join request
-        send({
-            type: 'join_room',
-            room_id: roomId,
-            player_name: playerName,
-            timer_seconds: timerSeconds,
-        });
+        if (spectate) {
+            send({
+                type: 'spectate_room',
+                room_id: roomId,
+                spectator_name: playerName,
+            });
+        } else {
+            send({
+                type: 'join_room',
+                room_id: roomId,
+                player_name: playerName,
+            });
+        }
     } catch (err) {
         showError(err.message);
         // Re-enable form on error
@@ -413,6 +1470,33 @@ elements.joinForm.addEventListener('submit', async (e) => {
     }
 });
 
+// Practice offline against bots on the in-page local server
+elements.practiceBtn.addEventListener('click', () => {
+    elements.serverUrlInput.value = LOCAL_SERVER_URL;
+    if (!elements.roomIdInput.value.trim()) {
+        elements.roomIdInput.value = 'practice';
+    }
+    elements.joinForm.requestSubmit();
+});
+
+// Language picker, listed by each locale's own name
+function renderLanguageOptions() {
+    elements.languageSelect.innerHTML = Object.entries(LOCALES)
+        .map(([code, locale]) => `<option value="${code}">${escapeHtml(locale.name)}</option>`)
+        .join('');
+    elements.languageSelect.value = i18n.locale;
+}
+
+elements.languageSelect.addEventListener('change', () => {
+    i18n.setLocale(elements.languageSelect.value);
+    i18n.save();
+    applyTranslations();
+    renderInviteSummary();
+});
+
+renderLanguageOptions();
+applyTranslations();
+
 function showError(message) {
     elements.connectionError.textContent = message;
     elements.connectionError.classList.remove('hidden');
@@ -423,185 +1507,722 @@ function hideError() {
 }
 
 // ============================================
-// Lobby Screen
+// Room Browser
 // ============================================
 
-function showLobby() {
-    showScreen('lobby-screen');
-    renderLobby();
-}
+const ROOM_LIST_TIMEOUT_MS = 5000;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const ROOM_CODE_LENGTH = 6;
 
-function renderLobby() {
-    const room = state.roomState;
-    elements.lobbyRoomId.textContent = room.room_id;
+/**
+ * list_rooms / room_list round trips. The server only lists public
+ * rooms; private ones can still be joined by typing their code.
+ */
+const roomBrowser = {
+    rooms: [],
+    pending: null,
 
-    // Render player slots (show current players, not max_players empty slots)
-    let html = '';
-    for (let i = 0; i < room.players.length; i++) {
-        const player = room.players[i];
-        const isSelf = player.id === state.playerId;
-        const spriteUrl = getPlayerSprite(i, 'idle');
-        html += `
-            <div class="player-slot ${isSelf ? 'self' : ''}">
-                <img src="${spriteUrl}" alt="Player ${i + 1}" class="player-sprite">
-                <div class="player-name">${escapeHtml(player.name)}${isSelf ? ' (You)' : ''}</div>
-            </div>
-        `;
-    }
-    elements.lobbyPlayers.innerHTML = html;
+    request() {
+        if (this.pending) {
+            return this.pending.promise;
+        }
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        const timer = setTimeout(() => {
+            this.pending = null;
+            reject(new Error(t('rooms.unavailable')));
+        }, ROOM_LIST_TIMEOUT_MS);
+        this.pending = { promise, resolve, timer };
+        send({ type: 'list_rooms' });
+        return promise;
+    },
 
-    // Update status text and button
-    const playerCount = room.players.length;
-    const minPlayers = room.min_players;
-    const maxPlayers = room.max_players;
+    receive(msg) {
+        this.rooms = msg.rooms || [];
+        if (this.pending) {
+            clearTimeout(this.pending.timer);
+            this.pending.resolve(this.rooms);
+            this.pending = null;
+        }
+    },
+};
 
-    if (playerCount < minPlayers) {
-        elements.lobbyStatus.textContent = `Need at least ${minPlayers} players to start (${playerCount}/${maxPlayers})`;
-        elements.startGameBtn.classList.add('hidden');
-    } else {
-        elements.lobbyStatus.textContent = `${playerCount} player${playerCount > 1 ? 's' : ''} ready (max ${maxPlayers})`;
-        elements.startGameBtn.classList.remove('hidden');
-    }
+function isRoomJoinable(room) {
+    return room.phase === 'waiting_for_players' && room.player_count < room.max_players;
 }
 
-// Start game button click handler
-elements.startGameBtn.addEventListener('click', () => {
-    send({ type: 'start_game' });
-});
+async function fetchRoomList(serverUrl) {
+    await ensureConnected(serverUrl);
+    return roomBrowser.request();
+}
 
-// ============================================
-// Game Screen
-// ============================================
+function renderRoomList(rooms) {
+    elements.roomListStatus.textContent = rooms.length > 0
+        ? t('rooms.found', { count: rooms.length })
+        : t('rooms.none');
+
+    elements.roomList.innerHTML = rooms.map(room => {
+        const joinable = isRoomJoinable(room);
+        const phase = room.phase === 'waiting_for_players' ? t('rooms.open') : t('rooms.in_game');
+        return `
+            <li class="room-row ${joinable ? '' : 'busy'}">
+                <span class="room-code">${escapeHtml(room.room_id)}</span>
+                <span class="room-players">${t('rooms.players', { current: room.player_count, min: room.min_players, max: room.max_players })}</span>
+                <span class="room-timer">${t('common.seconds', { seconds: room.timer_seconds })}</span>
+                <span class="room-phase">${phase}</span>
+                <button type="button" class="btn btn-secondary room-join-btn" data-room-id="${escapeHtml(room.room_id)}" data-watch="${joinable ? '' : 'true'}">
+                    ${joinable ? t('rooms.join') : t('landing.watch')}
+                </button>
+            </li>
+        `;
+    }).join('');
+}
 
-function renderGame() {
-    const game = state.gameState;
-    if (!game) {
-        return;
+// The fullest open room gets a match going soonest
+function pickQuickMatchRoom(rooms) {
+    const open = rooms.filter(isRoomJoinable);
+    open.sort((a, b) => b.player_count - a.player_count);
+    return open[0] || null;
+}
+
+function generateRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
     }
-    if (!state.playerId) {
+    return code;
+}
+
+elements.findRoomsBtn.addEventListener('click', async () => {
+    const serverUrl = elements.serverUrlInput.value.trim();
+    if (!serverUrl) {
+        showError(t('landing.fill_all_fields'));
         return;
     }
 
-    elements.turnNumber.textContent = game.turn_number;
-    elements.phaseIndicator.textContent = formatPhase(game.phase);
+    hideError();
+    elements.findRoomsBtn.disabled = true;
+    elements.roomListStatus.textContent = t('rooms.searching');
+    try {
+        renderRoomList(await fetchRoomList(serverUrl));
+    } catch (err) {
+        elements.roomList.innerHTML = '';
+        elements.roomListStatus.textContent = err.message;
+    } finally {
+        elements.findRoomsBtn.disabled = false;
+    }
+});
 
-    // Hide player cards during resolution phase (they're shown in the animation)
-    if (game.phase === 'resolution') {
-        elements.playersStatus.classList.add('hidden');
+// Rows join through the regular form, so name checks and errors stay in one place
+elements.roomList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.room-join-btn');
+    if (!btn) {
+        return;
+    }
+    elements.roomIdInput.value = btn.dataset.roomId;
+    if (btn.dataset.watch) {
+        elements.joinForm.requestSubmit(elements.watchBtn);
     } else {
-        elements.playersStatus.classList.remove('hidden');
-        renderPlayerCards();
+        elements.joinForm.requestSubmit();
     }
+});
 
-    // Hide all phase content
-    elements.spellSelection.classList.add('hidden');
-    elements.targetSelection.classList.add('hidden');
-    elements.typingPhase.classList.add('hidden');
-    elements.resolutionPhase.classList.add('hidden');
-    elements.waitingOverlay.classList.add('hidden');
-    elements.timerDisplay.classList.add('hidden');
-    // Ghost phase content
-    elements.ghostHauntSelection.classList.add('hidden');
-    elements.ghostTargetSelection.classList.add('hidden');
-    elements.ghostTypingPhase.classList.add('hidden');
-
-    // Get current player
-    const self = game.players.find(p => p.id === state.playerId);
-    if (!self) {
+// Join the best open room, or open a fresh public one if there is none
+elements.quickMatchBtn.addEventListener('click', async () => {
+    const serverUrl = elements.serverUrlInput.value.trim();
+    if (!elements.playerNameInput.value.trim() || !serverUrl) {
+        showError(t('landing.fill_all_fields'));
         return;
     }
-    const isGhost = self.is_ghost;
-
-    // Update ghost state
-    state.isGhost = isGhost;
-
-    // Ghost players get special UI instead of spectating
-    if (isGhost && game.phase !== 'resolution' && game.phase !== 'game_over') {
-        renderGhostPhase();
+    if (state.joiningRoom) {
         return;
     }
 
-    // Show appropriate phase content
-    switch (game.phase) {
-        case 'spell_selection':
-            renderSpellSelection();
-            break;
-        case 'target_selection':
-            renderTargetSelection();
-            break;
-        case 'typing':
-            renderTypingPhase();
-            break;
-        case 'resolution':
-            renderResolution();
-            break;
+    hideError();
+    elements.quickMatchBtn.disabled = true;
+    let rooms;
+    try {
+        rooms = await fetchRoomList(serverUrl);
+    } catch (err) {
+        showError(err.message);
+        return;
+    } finally {
+        elements.quickMatchBtn.disabled = false;
     }
-}
 
-function renderPlayerCards() {
-    const game = state.gameState;
-    let html = '';
+    const room = pickQuickMatchRoom(rooms);
+    elements.roomIdInput.value = room ? room.room_id : generateRoomCode();
+    elements.joinForm.requestSubmit();
+});
 
-    for (const player of game.players) {
-        const isSelf = player.id === state.playerId;
-        const playerIndex = getPlayerIndex(player.id);
-        const isDead = !player.is_alive;
-        const spriteUrl = getPlayerSprite(playerIndex, 'idle', isDead);
-        const hpPercent = Math.max(0, (player.hp / player.max_hp) * 100);
-        let hpClass = '';
-        if (hpPercent <= 25) hpClass = 'low';
-        else if (hpPercent <= 50) hpClass = 'mid';
+// ============================================
+// Saved Landing Form & Invite Links
+// ============================================
 
-        let statusText = '';
-        let statusClass = '';
-        const isGhost = player.is_ghost;
+const LANDING_PREFS_STORAGE_KEY = 'typomancers.landing';
+const RECENT_LIST_LIMIT = 5;
+const COPY_FEEDBACK_MS = 2000;
+
+/**
+ * What the landing form remembers between visits: the last wizard name,
+ * server and turn timer, plus recent servers and rooms offered as
+ * suggestions. Local practice is never remembered as a server or room.
+ */
+const landingPrefs = {
+    name: '',
+    server: '',
+    timer: null,
+    recentServers: [],
+    recentRooms: [],
+
+    load() {
+        const saved = savedSettings.getJson(LANDING_PREFS_STORAGE_KEY);
+        if (!saved || typeof saved !== 'object') {
+            return;
+        }
+        const strings = list => (Array.isArray(list) ? list.filter(item => typeof item === 'string') : []);
+        this.name = typeof saved.name === 'string' ? saved.name : '';
+        this.server = typeof saved.server === 'string' ? saved.server : '';
+        this.timer = Number.isInteger(saved.timer) ? saved.timer : null;
+        this.recentServers = strings(saved.recent_servers).slice(0, RECENT_LIST_LIMIT);
+        this.recentRooms = strings(saved.recent_rooms).slice(0, RECENT_LIST_LIMIT);
+    },
+
+    save() {
+        savedSettings.setJson(LANDING_PREFS_STORAGE_KEY, {
+            name: this.name,
+            server: this.server,
+            timer: this.timer,
+            recent_servers: this.recentServers,
+            recent_rooms: this.recentRooms,
+        });
+        renderRecentOptions();
+    },
+
+    rememberName(name) {
+        this.name = name;
+        this.save();
+    },
+
+    rememberServer(serverUrl) {
+        if (isLocalServerUrl(serverUrl)) {
+            return;
+        }
+        this.server = serverUrl;
+        this.recentServers = addRecent(this.recentServers, serverUrl);
+        this.save();
+    },
+
+    rememberRoom(roomId) {
+        this.recentRooms = addRecent(this.recentRooms, roomId);
+        this.save();
+    },
+
+    rememberTimer(seconds) {
+        const timer = parseInt(seconds, 10);
+        if (timer > 0) {
+            this.timer = timer;
+            this.save();
+        }
+    },
+};
+
+function addRecent(list, value) {
+    return [value, ...list.filter(item => item !== value)].slice(0, RECENT_LIST_LIMIT);
+}
+
+function renderRecentOptions() {
+    const options = list => list.map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+    elements.recentServers.innerHTML = options(landingPrefs.recentServers);
+    elements.recentRooms.innerHTML = options(landingPrefs.recentRooms);
+}
+
+// A host's preferred turn timer carries over to each new room they open,
+// unless the invite they came in on asked for another one
+function applyPreferredTimer(room) {
+    const timer = inviteTimer || landingPrefs.timer;
+    if (timer && room.settings && room.settings.timer_seconds !== timer) {
+        send({ type: 'update_settings', settings: { timer_seconds: timer } });
+    }
+}
+
+// Invite links put their parameters in the hash; plain query strings work too
+function readInviteParams() {
+    const params = new URLSearchParams(window.location.search);
+    new URLSearchParams(window.location.hash.slice(1)).forEach((value, key) => params.set(key, value));
+    return {
+        server: params.get('server'),
+        room: params.get('room'),
+        timer: params.get('timer'),
+    };
+}
+
+function buildInviteLink(serverUrl, roomId) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = new URLSearchParams({ server: serverUrl, room: roomId }).toString();
+    return url.toString();
+}
+
+// The invite this page was opened with, shown above Enter Arena until used
+let pendingInvite = null;
+
+// An invite's turn timer holds for this visit only; it never replaces
+// the saved preference
+let inviteTimer = null;
+
+// Same limits as the lobby's timer setting
+function parseInviteTimer(value) {
+    const seconds = Number(value);
+    const min = Number(elements.settingTimer.min);
+    const max = Number(elements.settingTimer.max);
+    return Number.isInteger(seconds) && seconds >= min && seconds <= max ? seconds : null;
+}
+
+/**
+ * Fill the landing form from the saved preferences and any invite link.
+ * An invite only joins by itself when it points at the server this
+ * wizard used last time; any other server is shown and waits for Enter
+ * Arena, so a link can't connect somewhere unseen with the saved name.
+ */
+function initLandingForm() {
+    landingPrefs.load();
+    renderRecentOptions();
+
+    const invite = readInviteParams();
+    inviteTimer = parseInviteTimer(invite.timer);
+    elements.playerNameInput.value = landingPrefs.name;
+    elements.serverUrlInput.value = invite.server || landingPrefs.server || elements.serverUrlInput.value;
+    if (invite.room) {
+        elements.roomIdInput.value = invite.room;
+    }
+
+    if (!invite.server && !invite.room && !invite.timer) {
+        return;
+    }
+    // Used up; a refresh shouldn't join again
+    history.replaceState(null, '', window.location.pathname);
+
+    const knownServer = Boolean(invite.server) && invite.server === landingPrefs.server;
+    if (invite.room && knownServer && landingPrefs.name) {
+        elements.joinForm.requestSubmit();
+        return;
+    }
+    if (invite.room || inviteTimer) {
+        pendingInvite = { room: invite.room, server: elements.serverUrlInput.value, timer: inviteTimer };
+        renderInviteSummary();
+    }
+    if (invite.room) {
+        if (landingPrefs.name) {
+            elements.joinForm.querySelector('button[type="submit"]').focus();
+        } else {
+            elements.playerNameInput.focus();
+        }
+    }
+}
+
+function renderInviteSummary() {
+    elements.inviteSummary.classList.toggle('hidden', !pendingInvite);
+    if (pendingInvite) {
+        const lines = [];
+        if (pendingInvite.room) {
+            lines.push(t('landing.invite_summary', pendingInvite));
+        }
+        if (pendingInvite.timer) {
+            lines.push(t('landing.invite_timer', { seconds: pendingInvite.timer }));
+        }
+        elements.inviteSummary.textContent = lines.join(' ');
+    }
+}
+
+// Practice rooms only exist in this tab, so there is nothing to share
+function renderInviteButton() {
+    elements.copyInviteBtn.classList.toggle('hidden', isLocalServerUrl(state.serverUrl));
+}
+
+elements.copyInviteBtn.addEventListener('click', () => {
+    const link = buildInviteLink(state.serverUrl, state.roomId);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+    copied
+        .then(() => {
+            elements.copyInviteBtn.textContent = t('lobby.invite_copied');
+            announcer.say(t('lobby.invite_copied'));
+            setTimeout(() => {
+                elements.copyInviteBtn.textContent = t('lobby.copy_invite');
+            }, COPY_FEEDBACK_MS);
+        })
+        .catch(() => {
+            // No clipboard access (e.g. plain http); let them copy it by hand
+            window.prompt(t('lobby.copy_invite_prompt'), link);
+        });
+});
+
+initLandingForm();
+
+// ============================================
+// Lobby Screen
+// ============================================
+
+function showLobby() {
+    showScreen('lobby-screen');
+    renderInviteButton();
+    renderLobby();
+}
+
+function renderLobby() {
+    const room = state.roomState;
+    elements.lobbyRoomId.textContent = room.room_id;
+
+    // Render player slots (show current players, not max_players empty slots)
+    let html = '';
+    for (let i = 0; i < room.players.length; i++) {
+        const player = room.players[i];
+        const isSelf = player.id === state.playerId;
+        const spriteUrl = getPlayerSprite(getPlayerSlot(player.id), 'idle');
+        html += `
+            <div class="player-slot ${isSelf ? 'self' : ''} ${player.is_ready ? 'ready' : ''}">
+                ${player.id === room.host_id ? `<div class="host-badge">${t('lobby.host')}</div>` : ''}
+                <img src="${spriteUrl}" alt="Player ${i + 1}" class="player-sprite">
+                <div class="player-name">${escapeHtml(player.name)}${isSelf ? ` ${t('common.you')}` : ''}</div>
+                <div class="ready-state">${player.is_ready ? t('lobby.is_ready') : t('lobby.not_ready')}</div>
+                ${isSelf ? '' : formatMuteButton(player.id, player.name)}
+            </div>
+        `;
+    }
+    elements.lobbyPlayers.innerHTML = html;
+
+    const spectatorCount = room.spectator_count || 0;
+    elements.lobbySpectators.textContent = t('lobby.watching', { count: spectatorCount });
+    elements.lobbySpectators.classList.toggle('hidden', spectatorCount === 0);
+
+    renderLobbySettings(room);
+
+    // Update status text and buttons
+    const playerCount = room.players.length;
+    const minPlayers = room.min_players;
+    const maxPlayers = room.max_players;
+    const readyCount = room.players.filter(p => p.is_ready).length;
+    const self = room.players.find(p => p.id === state.playerId);
+    const host = room.players.find(p => p.id === room.host_id);
+    const canStart = playerCount >= minPlayers && readyCount === playerCount;
+
+    if (state.isSpectator) {
+        // Only players can start the match
+        elements.lobbyStatus.textContent = t('lobby.spectating', { current: playerCount, max: maxPlayers });
+    } else if (playerCount < minPlayers) {
+        elements.lobbyStatus.textContent = t('lobby.need_players', { count: minPlayers, current: playerCount, max: maxPlayers });
+    } else if (!canStart) {
+        elements.lobbyStatus.textContent = t('lobby.ready_count', { ready: readyCount, count: playerCount, max: maxPlayers });
+    } else if (isRoomHost()) {
+        elements.lobbyStatus.textContent = t('lobby.all_ready');
+    } else {
+        elements.lobbyStatus.textContent = t('lobby.waiting_for_host', { host: host ? host.name : '' });
+    }
+
+    elements.readyBtn.classList.toggle('hidden', !self);
+    if (self) {
+        elements.readyBtn.textContent = self.is_ready ? t('lobby.unready') : t('lobby.ready');
+        elements.readyBtn.setAttribute('aria-pressed', String(Boolean(self.is_ready)));
+    }
+
+    // Only the host starts the match, and only once everyone is ready
+    elements.startGameBtn.classList.toggle('hidden', !self || !isRoomHost());
+    elements.startGameBtn.disabled = !canStart;
+}
+
+function isRoomHost() {
+    return Boolean(state.roomState) && state.roomState.host_id === state.playerId;
+}
+
+/**
+ * The room settings panel. The host edits it live; for everyone else the
+ * fieldset is disabled and simply mirrors the settings from room_update.
+ */
+function renderLobbySettings(room) {
+    const settings = room.settings;
+    elements.lobbySettings.classList.toggle('hidden', !settings);
+    if (!settings) {
+        return;
+    }
+
+    const isHost = isRoomHost();
+    elements.lobbySettings.disabled = !isHost;
+    elements.lobbySettingsNote.textContent = isHost ? t('settings.host_note') : t('settings.guest_note');
+    elements.settingMaxPlayers.min = Math.max(room.min_players, room.players.length);
+
+    for (const input of elements.lobbySettings.querySelectorAll('input[data-setting]')) {
+        // Don't overwrite a value the host is still typing
+        if (input.dataset.editing) {
+            continue;
+        }
+        const value = settings[input.dataset.setting];
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(value);
+        } else {
+            input.value = value;
+        }
+    }
+
+    // Servers that don't list their spells can still show which are allowed
+    const allowed = settings.allowed_spells || [];
+    const pool = room.spell_pool || allowed.map(id => ({ id, name: id }));
+    const html = pool.map(spell => `
+        <label class="setting-spell">
+            <input type="checkbox" data-spell-id="${escapeHtml(spell.id)}" ${allowed.includes(spell.id) ? 'checked' : ''}>
+            ${escapeHtml(spell.name || spell.id)}
+        </label>
+    `).join('');
+    replaceOptions(elements.settingSpellList, 'input', html);
+}
+
+elements.lobbySettings.addEventListener('input', (e) => {
+    if (e.target.dataset.setting) {
+        e.target.dataset.editing = 'true';
+    }
+});
+
+// The host's edits go out one setting at a time; the server echoes them back in room_update
+elements.lobbySettings.addEventListener('change', (e) => {
+    const input = e.target;
+    delete input.dataset.editing;
+    if (!isRoomHost()) {
+        return;
+    }
+
+    if (input.dataset.spellId) {
+        const allowed = [...elements.settingSpellList.querySelectorAll('input:checked')].map(box => box.dataset.spellId);
+        // A match needs at least one spell to cast
+        if (allowed.length === 0) {
+            input.checked = true;
+            return;
+        }
+        send({ type: 'update_settings', settings: { allowed_spells: allowed } });
+        return;
+    }
+
+    const key = input.dataset.setting;
+    if (!key) {
+        return;
+    }
+    if (key === 'timer_seconds' && input.value !== '') {
+        landingPrefs.rememberTimer(input.value);
+    }
+    if (input.type === 'checkbox') {
+        send({ type: 'update_settings', settings: { [key]: input.checked } });
+    } else if (input.value === '') {
+        input.value = state.roomState.settings[key];
+    } else {
+        send({ type: 'update_settings', settings: { [key]: Number(input.value) } });
+    }
+});
+
+elements.readyBtn.addEventListener('click', () => {
+    const self = state.roomState.players.find(p => p.id === state.playerId);
+    if (self) {
+        send({ type: 'set_ready', ready: !self.is_ready });
+    }
+});
+
+// Start game button click handler
+elements.startGameBtn.addEventListener('click', () => {
+    send({ type: 'start_game' });
+});
+
+// ============================================
+// Game Screen
+// ============================================
+
+function renderGame() {
+    const game = state.gameState;
+    if (!game) {
+        return;
+    }
+    if (!state.playerId) {
+        return;
+    }
+
+    elements.turnNumber.textContent = game.turn_number;
+    elements.phaseIndicator.textContent = formatPhase(game.phase);
+
+    // Hide player cards during resolution phase (they're shown in the animation)
+    if (game.phase === 'resolution') {
+        elements.playersStatus.classList.add('hidden');
+    } else {
+        elements.playersStatus.classList.remove('hidden');
+        renderPlayerCards();
+    }
+
+    // Hide all phase content
+    elements.spellSelection.classList.add('hidden');
+    elements.targetSelection.classList.add('hidden');
+    elements.typingPhase.classList.add('hidden');
+    elements.resolutionPhase.classList.add('hidden');
+    elements.waitingOverlay.classList.add('hidden');
+    elements.timerDisplay.classList.add('hidden');
+    // Ghost phase content
+    elements.ghostHauntSelection.classList.add('hidden');
+    elements.ghostTargetSelection.classList.add('hidden');
+    elements.ghostTypingPhase.classList.add('hidden');
+
+    elements.spectatorBadge.textContent = state.replay ? t('game.replay') : t('game.spectating');
+    elements.spectatorBadge.classList.toggle('hidden', !state.isSpectator);
+    if (state.isSpectator) {
+        renderSpectatorView();
+        return;
+    }
+
+    // Get current player
+    const self = game.players.find(p => p.id === state.playerId);
+    if (!self) {
+        return;
+    }
+    const isGhost = self.is_ghost;
+
+    // Update ghost state
+    state.isGhost = isGhost;
+
+    // Ghost players get special UI instead of spectating
+    if (isGhost && game.phase !== 'resolution' && game.phase !== 'game_over') {
+        renderGhostPhase();
+        return;
+    }
+
+    // With ghost mode off, fallen wizards just watch the rest of the match
+    if (!self.is_alive && game.phase !== 'resolution' && game.phase !== 'game_over') {
+        renderSpectatorView();
+        return;
+    }
+
+    // Show appropriate phase content
+    switch (game.phase) {
+        case 'spell_selection':
+            renderSpellSelection();
+            break;
+        case 'target_selection':
+            renderTargetSelection();
+            break;
+        case 'typing':
+            renderTypingPhase();
+            break;
+        case 'resolution':
+            renderResolution();
+            break;
+    }
+}
+
+/**
+ * Spectators get the live phase status and the resolution animation,
+ * but none of the spell, target or typing controls.
+ */
+function renderSpectatorView() {
+    const game = state.gameState;
+
+    if (game.phase === 'resolution') {
+        renderResolution();
+        return;
+    }
+
+    const living = game.players.filter(p => p.is_alive);
+    let message = '';
+    let done = 0;
+    switch (game.phase) {
+        case 'spell_selection':
+            message = t('spectator.choosing_spells');
+            done = living.filter(p => p.has_selected_spell).length;
+            break;
+        case 'target_selection':
+            message = t('spectator.choosing_targets');
+            done = living.filter(p => p.has_selected_target).length;
+            break;
+        case 'typing':
+            message = t('spectator.casting');
+            done = living.filter(p => p.has_finished_typing).length;
+            break;
+        default:
+            message = formatPhase(game.phase);
+    }
+    showWaiting(message, t('spectator.ready_count', { done, total: living.length }));
+
+    if (state.phaseDeadline !== null && !state.timerInterval) {
+        elements.timerDisplay.classList.remove('hidden');
+        startCountdown(state.phaseDeadline, {
+            format: seconds => t('common.seconds', { seconds }),
+            warn: true,
+        });
+    } else if (state.timerInterval) {
+        elements.timerDisplay.classList.remove('hidden');
+    }
+}
+
+function renderPlayerCards() {
+    const game = state.gameState;
+    let html = '';
+
+    for (const player of game.players) {
+        const isSelf = player.id === state.playerId;
+        const isDead = !player.is_alive;
+        const spriteUrl = getPlayerSprite(getPlayerSlot(player.id), 'idle', isDead);
+        const hpPercent = Math.max(0, (player.hp / player.max_hp) * 100);
+        let hpClass = '';
+        if (hpPercent <= 25) hpClass = 'low';
+        else if (hpPercent <= 50) hpClass = 'mid';
+
+        let statusText = '';
+        let statusClass = '';
+        const isGhost = player.is_ghost;
 
         if (isGhost) {
             // Ghost player status
             const gs = player.ghost_state;
             if (gs) {
                 if (!gs.has_selected_haunt_type) {
-                    statusText = 'Choosing curse...';
+                    statusText = t('status.choosing_curse');
                 } else if (!gs.has_selected_target) {
-                    statusText = 'Picking victim...';
+                    statusText = t('status.picking_victim');
                 } else if (!gs.has_finished_typing) {
-                    statusText = 'Haunting...';
+                    statusText = t('status.haunting');
                 } else {
-                    statusText = 'Curse ready!';
+                    statusText = t('status.curse_ready');
                     statusClass = 'ready';
                 }
             } else {
-                statusText = 'Ghost';
+                statusText = t('status.ghost');
             }
         } else if (!player.is_alive) {
-            statusText = 'Defeated';
+            statusText = t('status.defeated');
         } else {
             switch (game.phase) {
                 case 'spell_selection':
-                    statusText = player.has_selected_spell ? 'Spell Ready' : 'Choosing...';
+                    statusText = player.has_selected_spell ? t('status.spell_ready') : t('status.choosing');
                     statusClass = player.has_selected_spell ? 'ready' : '';
                     break;
                 case 'target_selection':
-                    statusText = player.has_selected_target ? 'Target Locked' : 'Targeting...';
+                    statusText = player.has_selected_target ? t('status.target_locked') : t('status.targeting');
                     statusClass = player.has_selected_target ? 'ready' : '';
                     break;
                 case 'typing':
-                    statusText = player.has_finished_typing ? 'Done!' : 'Casting...';
+                    statusText = player.has_finished_typing ? t('status.done') : t('status.casting');
                     statusClass = player.has_finished_typing ? 'ready' : '';
                     break;
             }
         }
+        const showProgress = game.phase === 'typing' && player.is_alive;
 
         html += `
             <div class="player-card ${isSelf ? 'self' : ''} ${!player.is_alive ? 'dead' : ''} ${isGhost ? 'ghost' : ''}">
                 <img src="${spriteUrl}" alt="${escapeHtml(player.name)}" class="player-card-sprite">
                 <div class="player-info">
-                    <div class="player-name">${escapeHtml(player.name)}${isSelf ? ' (You)' : ''}</div>
+                    <div class="player-name">${escapeHtml(player.name)}${isSelf ? ` ${t('common.you')}` : ''}</div>
                     <div class="hp-bar">
                         <div class="hp-fill ${hpClass}" style="width: ${hpPercent}%"></div>
                     </div>
-                    <div class="hp-text">${player.hp} / ${player.max_hp} HP</div>
+                    <div class="hp-text">${t('common.hp_of_max', { hp: player.hp, max: player.max_hp })}</div>
                     <div class="status-indicator ${statusClass}">${statusText}</div>
+                    ${showProgress ? formatTypingProgress(player.id) : ''}
                 </div>
             </div>
         `;
@@ -623,63 +2244,49 @@ function renderSpellSelection() {
         return;
     }
     if (self.has_selected_spell) {
-        showWaiting('Waiting for other wizards to choose their spells...');
+        showWaiting(t('spells.waiting'));
         return;
     }
 
     elements.spellSelection.classList.remove('hidden');
 
     let html = '';
-    for (const spell of game.available_spells) {
+    game.available_spells.forEach((spell, index) => {
         const selected = state.selectedSpell === spell.id;
 
-        // Determine spell type display and image
-        let typeLabel = '';
-        let typeClass = '';
-        switch (spell.spell_type) {
-            case 'attack':
-                typeLabel = 'Attack';
-                typeClass = 'type-attack';
-                break;
-            case 'attack_all':
-                typeLabel = 'Area Attack';
-                typeClass = 'type-attack-all';
-                break;
-            case 'heal':
-                typeLabel = 'Heal';
-                typeClass = 'type-heal';
-                break;
-            case 'shield':
-                typeLabel = 'Shield';
-                typeClass = 'type-shield';
-                break;
-        }
-
-        // Get the spell card image
-        const spellImageSrc = getSpellImage(spell.name, spell.spell_type);
+        // Type badge, art and description come from the spell manifest
+        const info = spellManifest.describe(spell);
+        const typeLabel = i18n.has(`spell_types.${spell.spell_type}`) ? t(`spell_types.${spell.spell_type}`) : info.label;
+        const badgeStyle = info.color ? `style="background: ${escapeHtml(info.color)}"` : '';
 
         // Format difficulty for display
-        const difficultyLabel = spell.difficulty.charAt(0).toUpperCase() + spell.difficulty.slice(1);
+        const difficultyLabel = i18n.has(`difficulty.${spell.difficulty}`)
+            ? t(`difficulty.${spell.difficulty}`)
+            : spell.difficulty.charAt(0).toUpperCase() + spell.difficulty.slice(1);
         const difficultyClass = `difficulty-${spell.difficulty}`;
 
         html += `
-            <button class="spell-btn ${selected ? 'selected' : ''} ${typeClass}" data-spell-id="${spell.id}">
-                <div class="spell-type-badge">${typeLabel}</div>
+            <button class="spell-btn ${selected ? 'selected' : ''} ${info.typeClass} ${info.known ? '' : 'unknown-spell'}"
+                    data-spell-id="${spell.id}"
+                    title="${escapeHtml(info.description)}">
+                ${formatKeyHint(index)}
+                <div class="spell-type-badge" ${badgeStyle}>${escapeHtml(typeLabel)}</div>
                 <div class="spell-image">
-                    <img src="${spellImageSrc}" alt="${escapeHtml(spell.name)}">
+                    <img src="${escapeHtml(info.art)}" alt="${escapeHtml(spell.name)}">
                 </div>
                 <div class="spell-card-body">
                     <div class="spell-name">${escapeHtml(spell.name)}</div>
+                    ${info.description ? `<div class="spell-description">${escapeHtml(info.description)}</div>` : ''}
                     <div class="spell-stats">
-                        <div class="spell-value">⚡ ${spell.max_value}</div>
+                        <div class="spell-value">⚡ ${i18n.formatNumber(spell.max_value)}</div>
                         <div class="spell-stats-divider"></div>
                         <div class="spell-difficulty ${difficultyClass}">${difficultyLabel}</div>
                     </div>
                 </div>
             </button>
         `;
-    }
-    elements.spellOptions.innerHTML = html;
+    });
+    replaceOptions(elements.spellOptions, '.spell-btn', html);
 
     // Add click handlers
     elements.spellOptions.querySelectorAll('.spell-btn').forEach(btn => {
@@ -704,48 +2311,162 @@ function renderSpellSelection() {
 function renderTargetSelection() {
     const game = state.gameState;
     const self = game.players.find(p => p.id === state.playerId);
+    const spell = getSelectedSpell();
+    const rules = getTargetingRules(spell);
+
+    // Attacks can't target self; heals and shields list self first
+    const candidates = game.players.filter(p => p.id !== state.playerId);
+    if (rules.includeSelf) {
+        candidates.unshift(self);
+    }
+
+    // Area spells hit every living opponent, so there's nothing to choose
+    if (rules.targetsAll) {
+        if (state.selectedTargets.length === 0) {
+            state.selectedTargets = candidates.filter(p => p.is_alive).map(p => p.id);
+            if (!self.has_selected_target) {
+                send({ type: 'select_target', target_ids: state.selectedTargets });
+            }
+        }
+        showWaiting(t('targets.area_strike', { spell: spell.name }), describeChosenTargets());
+        return;
+    }
 
-    if (self.has_selected_target) {
-        showWaiting('Waiting for other wizards to choose their targets...');
+    if (self.has_selected_target || state.targetsSubmitted) {
+        showWaiting(t('targets.waiting'), describeChosenTargets());
         return;
     }
 
     elements.targetSelection.classList.remove('hidden');
+    elements.targetSelectionTitle.textContent = rules.title;
 
     let html = '';
-    for (const player of game.players) {
-        if (player.id === state.playerId) continue; // Can't target self
-
+    if (rules.maxTargets > 1) {
+        html += `<p class="target-hint">${t('targets.hint', { count: rules.maxTargets })}</p>`;
+    }
+    candidates.forEach((player, index) => {
+        // Dead wizards can't be healed or shielded either
         const disabled = !player.is_alive;
-        const selected = state.selectedTarget === player.id;
+        const selected = state.selectedTargets.includes(player.id);
+        const isSelf = player.id === state.playerId;
 
         html += `
-            <button class="target-btn ${selected ? 'selected' : ''}"
+            <button class="target-btn ${selected ? 'selected' : ''} ${isSelf ? 'self-target' : ''}"
                     data-target-id="${player.id}"
                     ${disabled ? 'disabled' : ''}>
-                ${escapeHtml(player.name)}
-                <span class="target-hp">${player.hp} HP</span>
+                ${formatKeyHint(index)}
+                ${isSelf ? t('common.yourself') : escapeHtml(player.name)}
+                <span class="target-hp">${formatTargetDetail(player, spell)}</span>
+            </button>
+        `;
+    });
+    if (rules.maxTargets > 1) {
+        html += `
+            <button class="btn btn-primary target-confirm-btn" ${state.selectedTargets.length === 0 ? 'disabled' : ''}>
+                ${t('targets.confirm', { selected: state.selectedTargets.length, max: rules.maxTargets })}
+                <span class="key-hint" aria-hidden="true">${t('common.enter_key')}</span>
             </button>
         `;
     }
-    elements.targetOptions.innerHTML = html;
+    replaceOptions(elements.targetOptions, '.target-btn', html);
 
     // Add click handlers
     elements.targetOptions.querySelectorAll('.target-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             if (btn.disabled) return;
+            toggleTarget(btn.dataset.targetId, rules.maxTargets);
+        });
+    });
 
-            const targetId = btn.dataset.targetId;
-            state.selectedTarget = targetId;
-
-            // Update UI
-            elements.targetOptions.querySelectorAll('.target-btn').forEach(b => b.classList.remove('selected'));
-            btn.classList.add('selected');
+    const confirmBtn = elements.targetOptions.querySelector('.target-confirm-btn');
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', () => {
+            // A second click or Enter before the phase changes would send again
+            if (state.selectedTargets.length === 0 || state.targetsSubmitted) return;
+            state.targetsSubmitted = true;
+            confirmBtn.disabled = true;
+            send({ type: 'select_target', target_ids: state.selectedTargets });
+        });
+    }
+}
 
-            // Send to server (as array for protocol compatibility)
-            send({ type: 'select_target', target_ids: [targetId] });
+function toggleTarget(targetId, maxTargets) {
+    // Single-target spells lock in on click, as they always have
+    if (maxTargets === 1) {
+        state.selectedTargets = [targetId];
+        elements.targetOptions.querySelectorAll('.target-btn').forEach(b => {
+            b.classList.toggle('selected', b.dataset.targetId === targetId);
         });
-    });
+        send({ type: 'select_target', target_ids: state.selectedTargets });
+        return;
+    }
+
+    if (state.selectedTargets.includes(targetId)) {
+        state.selectedTargets = state.selectedTargets.filter(id => id !== targetId);
+    } else if (state.selectedTargets.length < maxTargets) {
+        state.selectedTargets = [...state.selectedTargets, targetId];
+    } else {
+        // At the limit: replace the oldest pick
+        state.selectedTargets = [...state.selectedTargets.slice(1), targetId];
+    }
+    renderTargetSelection();
+}
+
+function getSelectedSpell() {
+    const game = state.gameState;
+    const self = game.players.find(p => p.id === state.playerId);
+    const spellId = state.selectedSpell || (self && self.selected_spell_id);
+    return (game.available_spells || []).find(s => s.id === spellId) || null;
+}
+
+/**
+ * Targeting rules from spell metadata. Servers that predate max_targets /
+ * targets_all get the old behavior: area attacks hit everyone, the rest
+ * take a single target. Whether self is a valid target, and how the list
+ * is titled, depends on the spell type.
+ */
+function getTargetingRules(spell) {
+    if (!spell) {
+        return { maxTargets: 1, targetsAll: false, includeSelf: false, title: t('targets.title') };
+    }
+
+    let includeSelf = false;
+    let title = t('targets.title');
+    switch (spell.spell_type) {
+        case 'heal':
+            includeSelf = true;
+            title = t('targets.title_heal');
+            break;
+        case 'shield':
+            includeSelf = true;
+            title = t('targets.title_shield');
+            break;
+    }
+
+    return {
+        maxTargets: Math.max(1, spell.max_targets || 1),
+        targetsAll: spell.targets_all !== undefined ? Boolean(spell.targets_all) : spell.spell_type === 'attack_all',
+        includeSelf,
+        title,
+    };
+}
+
+function formatTargetDetail(player, spell) {
+    if (spell && spell.spell_type === 'heal') {
+        const missing = player.max_hp - player.hp;
+        return missing > 0
+            ? t('targets.heal_missing', { hp: player.hp, max: player.max_hp, missing })
+            : t('targets.heal_full', { hp: player.hp });
+    }
+    return t('common.hp', { hp: player.hp });
+}
+
+function describeChosenTargets() {
+    const names = state.selectedTargets
+        .map(id => state.gameState.players.find(p => p.id === id))
+        .filter(Boolean)
+        .map(p => (p.id === state.playerId ? t('common.yourself') : p.name));
+    return names.length > 0 ? t('targets.chosen', { names: i18n.formatList(names) }) : '';
 }
 
 // ============================================
@@ -757,7 +2478,7 @@ function renderTypingPhase() {
     const self = game.players.find(p => p.id === state.playerId);
 
     if (self.has_finished_typing || state.typingSubmitted) {
-        showWaiting('Waiting for other wizards to finish casting...');
+        showWaiting(t('typing.waiting'));
         return;
     }
 
@@ -772,6 +2493,7 @@ function renderTypingPhase() {
     if (isFirstRender) {
         elements.typingInput.value = '';
         state.typingStartTime = Date.now();
+        state.typingKeystrokes = createKeystrokeLog(state.typingStartTime);
         startTimer(typing.duration_ms);
     }
 
@@ -781,11 +2503,17 @@ function renderTypingPhase() {
     updateTypingFeedback(typing.incantation, elements.typingInput.value);
 
     // Setup input handler
-    elements.typingInput.oninput = () => {
+    const handleInput = (e) => {
+        recordKeystroke(state.typingKeystrokes, e, elements.typingInput.value, typing.incantation);
         updateTypingFeedback(typing.incantation, elements.typingInput.value);
+        playKeystrokeSound(typing.incantation, elements.typingInput.value, e);
+
+        const progress = measureTypingProgress(typing.incantation, elements.typingInput.value, state.typingStartTime);
+        setTypingProgress(state.playerId, progress);
+        progressReporter.report(progress);
 
         // Check if done typing (typed enough characters)
-        if (elements.typingInput.value.length >= typing.incantation.length) {
+        if (isIncantationComplete(typing.incantation, elements.typingInput.value)) {
             // Auto-submit after a small delay
             setTimeout(() => {
                 if (!state.typingSubmitted) {
@@ -794,20 +2522,77 @@ function renderTypingPhase() {
             }, 100);
         }
     };
+    // In-progress IME composition is ignored (see trackComposition)
+    elements.typingInput.oninput = (e) => {
+        if (!isComposing(elements.typingInput, e)) {
+            handleInput(e);
+        }
+    };
 
     // Handle submit button
     elements.submitTypingBtn.onclick = () => submitTyping(true);
 
-    // Handle Enter key
+    // Handle Enter key (but not the Enter that commits an IME composition)
     elements.typingInput.onkeydown = (e) => {
-        if (e.key === 'Enter') {
+        if (e.key === 'Enter' && !isComposing(elements.typingInput, e)) {
             e.preventDefault();
             submitTyping(true);
         }
     };
 }
 
+// Grapheme clusters, or code points where Intl.Segmenter is unavailable
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Inputs with an IME composition in progress
+const composingInputs = new Set();
+
+/**
+ * Split text into user-perceived characters, so an accented letter, an
+ * emoji or a CJK character each count once. Text is NFC-normalized first
+ * so precomposed and combining-mark input compare equal.
+ */
+function splitGraphemes(text) {
+    const normalized = text.normalize('NFC');
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(normalized), segment => segment.segment);
+    }
+    return Array.from(normalized);
+}
+
+function isIncantationComplete(incantation, typed) {
+    return splitGraphemes(typed).length >= splitGraphemes(incantation).length;
+}
+
+function isComposing(input, event) {
+    // keyCode 229 marks keydowns the IME is handling
+    return composingInputs.has(input) || Boolean(event && (event.isComposing || event.keyCode === 229));
+}
+
+/**
+ * Track IME composition on a typing input. The phase's oninput handler
+ * skips composing input, so it is run once more with the committed text
+ * when composition ends.
+ */
+function trackComposition(input) {
+    input.addEventListener('compositionstart', () => composingInputs.add(input));
+    input.addEventListener('compositionend', (e) => {
+        composingInputs.delete(input);
+        if (input.oninput) {
+            input.oninput(e);
+        }
+    });
+}
+
+trackComposition(elements.typingInput);
+trackComposition(elements.ghostTypingInput);
+
 function generateTypingFeedbackHtml(expected, typed) {
+    expected = expected.normalize('NFC');
+    typed = typed.normalize('NFC');
+
     // Split into words for per-word highlighting
     const expectedWords = expected.split(/(\s+)/); // Preserve spaces
     const typedWords = typed.split(/(\s+)/); // Preserve spaces
@@ -834,33 +2619,34 @@ function generateTypingFeedbackHtml(expected, typed) {
             continue;
         }
 
-        // This is a non-space word
+        // This is a non-space word, compared grapheme by grapheme
         const isCurrentWord = wordIndex === currentWordIndex;
         const isCompletedWord = wordIndex < currentWordIndex;
-        const typedWord = typedNonSpaceWords[wordIndex] || '';
+        const chars = splitGraphemes(word);
+        const typedChars = splitGraphemes(typedNonSpaceWords[wordIndex] || '');
 
         if (isCompletedWord) {
             // Grey out completed words
-            for (let j = 0; j < word.length; j++) {
-                html += `<span class="completed">${escapeHtml(word[j])}</span>`;
+            for (const char of chars) {
+                html += `<span class="completed">${escapeHtml(char)}</span>`;
             }
         } else if (isCurrentWord) {
             // Show current word with character-by-character red/green
-            for (let j = 0; j < word.length; j++) {
-                if (j < typedWord.length) {
-                    if (typedWord[j] === word[j]) {
-                        html += `<span class="correct">${escapeHtml(word[j])}</span>`;
+            for (let j = 0; j < chars.length; j++) {
+                if (j < typedChars.length) {
+                    if (typedChars[j] === chars[j]) {
+                        html += `<span class="correct">${escapeHtml(chars[j])}</span>`;
                     } else {
-                        html += `<span class="incorrect">${escapeHtml(word[j])}</span>`;
+                        html += `<span class="incorrect">${escapeHtml(chars[j])}</span>`;
                     }
                 } else {
-                    html += `<span class="pending">${escapeHtml(word[j])}</span>`;
+                    html += `<span class="pending">${escapeHtml(chars[j])}</span>`;
                 }
             }
         } else {
             // Grey out remaining words (not yet started)
-            for (let j = 0; j < word.length; j++) {
-                html += `<span class="pending">${escapeHtml(word[j])}</span>`;
+            for (const char of chars) {
+                html += `<span class="pending">${escapeHtml(char)}</span>`;
             }
         }
 
@@ -873,22 +2659,59 @@ function generateTypingFeedbackHtml(expected, typed) {
 function updateTypingFeedback(expected, typed) {
     const html = generateTypingFeedbackHtml(expected, typed);
     elements.typingFeedback.innerHTML = html;
+    reportTypingErrors(elements.typingInput, elements.typingFeedback);
+}
+
+/**
+ * Typos are marked for assistive tech as well as by color: the input
+ * goes aria-invalid, and the first typo after clean typing is announced.
+ */
+function reportTypingErrors(input, feedback) {
+    const hasError = feedback.querySelector('.incorrect') !== null;
+    const hadError = input.getAttribute('aria-invalid') === 'true';
+    input.setAttribute('aria-invalid', String(hasError));
+    if (hasError && !hadError) {
+        announcer.say(t('a11y.typo'));
+    }
+}
+
+/**
+ * A click for each keystroke, or a buzz when the character just typed
+ * doesn't match the incantation at that position. Deletions click too.
+ */
+function playKeystrokeSound(expected, typed, event) {
+    if (event && event.inputType && event.inputType.startsWith('delete')) {
+        audioEngine.play('key_click');
+        return;
+    }
+    const typedChars = splitGraphemes(typed);
+    const index = typedChars.length - 1;
+    if (index < 0) {
+        return;
+    }
+    const correct = typedChars[index] === splitGraphemes(expected)[index];
+    audioEngine.play(correct ? 'key_click' : 'key_error');
 }
 
 function submitTyping(finished) {
     if (state.typingSubmitted) return;
     state.typingSubmitted = true;
+    progressReporter.cancel();
 
     const completionTime = finished ? Date.now() - state.typingStartTime : null;
 
-    send({
+    // Kept so it can be re-sent if the connection drops before the server sees it
+    state.lastTypingSubmission = {
         type: 'submit_typing',
-        typed_text: elements.typingInput.value,
+        typed_text: elements.typingInput.value.normalize('NFC'),
         completion_time_ms: completionTime,
-    });
+        keystrokes: serializeKeystrokeLog(state.typingKeystrokes),
+        integrity: assessTypingIntegrity(state.typingKeystrokes, elements.typingInput.value),
+    };
+    send(state.lastTypingSubmission);
 
     stopTimer();
-    showWaiting('Spell cast! Waiting for others...');
+    showWaiting(t('typing.cast'));
 }
 
 function startTimer(durationMs) {
@@ -897,24 +2720,65 @@ function startTimer(durationMs) {
         return;
     }
 
-    const endTime = state.typingStartTime + durationMs;
+    // Only used if the server never told us when the phase ends
+    const fallbackEndTime = state.typingStartTime + durationMs;
+
+    startCountdown(fallbackEndTime, {
+        format: seconds => t('common.seconds', { seconds }),
+        warn: true,
+        onExpire: () => {
+            if (!state.typingSubmitted) {
+                submitTyping(false);
+            }
+        },
+    });
+}
+
+// Seconds left at which the timer is read out, largest first
+const TIMER_ANNOUNCE_SECONDS = [10, 5];
+
+/**
+ * Tick the timer display down to the phase deadline. The deadline is
+ * re-read on every tick so corrections from later game_updates (or a
+ * better clock sync estimate) take effect immediately.
+ */
+function startCountdown(fallbackEndTime, { format, warn, onExpire }) {
+    // Starts at the first threshold not already behind us, so a late join
+    // doesn't read out a warning that has passed
+    let nextWarning = null;
+    let lastTick = null;
 
     state.timerInterval = setInterval(() => {
+        const endTime = state.phaseDeadline !== null ? state.phaseDeadline : fallbackEndTime;
         const remaining = Math.max(0, endTime - Date.now());
         const seconds = Math.ceil(remaining / 1000);
-        elements.timerDisplay.textContent = `${seconds}s`;
+        elements.timerDisplay.textContent = format(seconds);
 
-        if (seconds <= 5) {
+        if (warn && seconds <= 5) {
             elements.timerDisplay.classList.add('warning');
+            // One tick per second through the warning
+            if (remaining > 0 && seconds !== lastTick) {
+                lastTick = seconds;
+                audioEngine.play('timer_tick');
+            }
         } else {
             elements.timerDisplay.classList.remove('warning');
         }
 
+        if (warn && remaining > 0) {
+            if (nextWarning === null) {
+                nextWarning = TIMER_ANNOUNCE_SECONDS.findIndex(threshold => seconds > threshold);
+            }
+            const threshold = TIMER_ANNOUNCE_SECONDS[nextWarning];
+            if (nextWarning >= 0 && threshold !== undefined && seconds <= threshold) {
+                announcer.say(t('a11y.time_left', { count: seconds }), { urgent: true });
+                nextWarning++;
+            }
+        }
+
         if (remaining <= 0) {
             stopTimer();
-            if (!state.typingSubmitted) {
-                submitTyping(false);
-            }
+            if (onExpire) onExpire();
         }
     }, 100);
 }
@@ -935,27 +2799,386 @@ function startResolutionTimer() {
         return;
     }
 
-    // Get initial time remaining from server
-    const game = state.gameState;
-    if (!game || game.phase_time_remaining_ms === undefined || game.phase_time_remaining_ms === null) {
+    // Only the server knows when resolution ends
+    if (state.phaseDeadline === null) {
         return;
     }
 
-    const startTime = Date.now();
-    const initialRemaining = game.phase_time_remaining_ms;
+    startCountdown(state.phaseDeadline, {
+        format: seconds => t('resolution.next_turn', { seconds }),
+        warn: false,
+    });
+}
 
-    state.timerInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const remaining = Math.max(0, initialRemaining - elapsed);
-        const seconds = Math.ceil(remaining / 1000);
+// ============================================
+// Keystroke Telemetry
+// ============================================
 
-        elements.timerDisplay.textContent = `Next turn in ${seconds}s`;
-        elements.timerDisplay.classList.remove('warning');
+const KEYSTROKE_LOG_MAX_EVENTS = 2000;
 
-        if (remaining <= 0) {
-            stopTimer();
+/**
+ * Per-keystroke log for one typing attempt, sent with the submission so
+ * the server can compute real WPM, burst speed and correction stats.
+ *
+ * Events are compact [offsetMs, key] pairs, where offsetMs is measured
+ * from the start of typing and key is the inserted text or 'Backspace'.
+ */
+function createKeystrokeLog(startTime) {
+    return {
+        startTime,
+        lastValue: '',
+        events: [],
+        backspaces: 0,
+        corrections: 0,
+        // Blocked or suspicious input, see Input Integrity below
+        flags: {
+            paste: 0,
+            drop: 0,
+            autofill: 0,
+            synthetic: 0,
+            untracked_edit: 0,
+        },
+    };
+}
+
+/**
+ * Record an input event by diffing the field against its previous value.
+ * Working from the value rather than keydown keeps IME, autocorrect and
+ * mobile keyboards (which often report 'Unidentified' keys) accurate.
+ */
+function recordKeystroke(log, event, value, expected) {
+    if (!log) return;
+
+    const previous = log.lastValue;
+    log.lastValue = value;
+
+    // Find the edited span: shared prefix and suffix are untouched
+    let prefix = 0;
+    while (prefix < previous.length && prefix < value.length && previous[prefix] === value[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < previous.length - prefix && suffix < value.length - prefix
+        && previous[previous.length - 1 - suffix] === value[value.length - 1 - suffix]) {
+        suffix++;
+    }
+    const removed = previous.slice(prefix, previous.length - suffix);
+    const inserted = value.slice(prefix, value.length - suffix);
+    const offset = Date.now() - log.startTime;
+
+    if (removed.length > 0) {
+        // A word or selection delete removes several characters in one event
+        log.backspaces += splitGraphemes(removed).length;
+        pushKeystrokeEvent(log, [offset, 'Backspace']);
+
+        // Deleting a character that didn't match the incantation is a correction
+        for (let i = 0; i < removed.length; i++) {
+            if (removed[i] !== expected[prefix + i]) {
+                log.corrections++;
+                break;
+            }
         }
-    }, 100);
+    }
+
+    if (inserted.length > 0) {
+        pushKeystrokeEvent(log, [offset, event && event.data ? event.data : inserted]);
+    }
+}
+
+function pushKeystrokeEvent(log, entry) {
+    if (log.events.length < KEYSTROKE_LOG_MAX_EVENTS) {
+        log.events.push(entry);
+    }
+}
+
+function serializeKeystrokeLog(log) {
+    if (!log) return null;
+    return {
+        events: log.events,
+        backspaces: log.backspaces,
+        corrections: log.corrections,
+    };
+}
+
+// ============================================
+// Input Integrity
+// ============================================
+
+// Cadence heuristics: humans can't sustain sub-25ms keystrokes, and their
+// intervals vary far more than a macro's
+const MIN_CADENCE_SAMPLES = 10;
+const MIN_HUMAN_MEDIAN_INTERVAL_MS = 25;
+const MIN_HUMAN_INTERVAL_VARIATION = 0.15;
+
+const INTEGRITY_WEIGHTS = {
+    paste: 0.15,
+    drop: 0.15,
+    autofill: 0.15,
+    synthetic: 0.5,
+    untracked_edit: 0.6,
+    superhuman_speed: 0.5,
+    uniform_cadence: 0.4,
+};
+
+// Typing inputs mapped to a getter for their current keystroke log
+const guardedInputs = new Map();
+
+function guardTypingInput(input, getLog) {
+    guardedInputs.set(input, getLog);
+    input.addEventListener('paste', (e) => blockInput(e, input, 'paste'));
+    input.addEventListener('drop', (e) => blockInput(e, input, 'drop'));
+    input.addEventListener('dragover', (e) => e.preventDefault());
+    // Pastes, drops and autofill are blocked. Autocorrect is off on these
+    // inputs, so a replacement outside an IME composition is autofill or a
+    // suggestion picker; IME commits insert several characters too and are
+    // left alone
+    input.addEventListener('beforeinput', (e) => {
+        if (e.inputType === 'insertFromPaste' || e.inputType === 'insertFromYank') {
+            blockInput(e, input, 'paste');
+        } else if (e.inputType === 'insertFromDrop') {
+            blockInput(e, input, 'drop');
+        } else if (e.inputType === 'insertReplacementText' && !isComposing(input, e)) {
+            blockInput(e, input, 'autofill');
+        }
+    });
+}
+
+function blockInput(event, input, reason) {
+    event.preventDefault();
+    flagInput(input, reason);
+    showTypingWarning(input, t('typing.no_shortcuts'));
+}
+
+function flagInput(input, reason) {
+    const log = guardedInputs.get(input)();
+    if (log) {
+        log.flags[reason]++;
+    }
+}
+
+/**
+ * Capture-phase guard that runs before the phase's own oninput/onkeydown
+ * handlers. Scripted (untrusted) events are rolled back and swallowed so
+ * they can neither type nor trigger auto-submit.
+ */
+function guardInputEvent(e) {
+    const getLog = guardedInputs.get(e.target);
+    if (!getLog || e.isTrusted) return;
+    const log = getLog();
+
+    e.stopImmediatePropagation();
+    e.preventDefault();
+    if (log) {
+        log.flags.synthetic++;
+        if (e.type === 'input') {
+            e.target.value = log.lastValue;
+        }
+    }
+}
+
+// Scripted clicks on the submit buttons are ignored too
+function guardSubmitClick(e) {
+    if (e.isTrusted) return;
+    const input = e.target === elements.submitTypingBtn ? elements.typingInput
+        : e.target === elements.submitGhostTypingBtn ? elements.ghostTypingInput
+        : null;
+    if (!input) return;
+
+    e.stopImmediatePropagation();
+    flagInput(input, 'synthetic');
+}
+
+document.addEventListener('input', guardInputEvent, true);
+document.addEventListener('keydown', guardInputEvent, true);
+document.addEventListener('click', guardSubmitClick, true);
+
+guardTypingInput(elements.typingInput, () => state.typingKeystrokes);
+guardTypingInput(elements.ghostTypingInput, () => state.ghostTypingKeystrokes);
+
+function showTypingWarning(input, message) {
+    const warning = input.parentElement.querySelector('.typing-warning');
+    if (!warning) return;
+
+    warning.textContent = message;
+    warning.classList.remove('hidden');
+    clearTimeout(warning.hideTimer);
+    warning.hideTimer = setTimeout(() => warning.classList.add('hidden'), 2500);
+}
+
+/**
+ * Score how likely a typing attempt was not typed by hand, from 0 (clean)
+ * to 1 (almost certainly automated), for the server to act on.
+ */
+function assessTypingIntegrity(log, submittedText) {
+    if (!log) return null;
+
+    const flags = { ...log.flags };
+    // Anything in the field we never saw an input event for was set by script
+    if (submittedText !== log.lastValue) {
+        flags.untracked_edit++;
+    }
+
+    const cadence = measureCadence(log.events);
+    flags.superhuman_speed = cadence && cadence.median_interval_ms < MIN_HUMAN_MEDIAN_INTERVAL_MS ? 1 : 0;
+    flags.uniform_cadence = cadence && cadence.variation < MIN_HUMAN_INTERVAL_VARIATION ? 1 : 0;
+
+    let score = 0;
+    for (const [flag, count] of Object.entries(flags)) {
+        score += (INTEGRITY_WEIGHTS[flag] || 0) * count;
+    }
+
+    return {
+        suspicion_score: Math.min(1, Number(score.toFixed(2))),
+        flags,
+        cadence,
+    };
+}
+
+function measureCadence(events) {
+    const times = events.filter(([, key]) => key !== 'Backspace').map(([offset]) => offset);
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) {
+        intervals.push(times[i] - times[i - 1]);
+    }
+    if (intervals.length < MIN_CADENCE_SAMPLES) {
+        return null;
+    }
+
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    const variance = intervals.reduce((sum, x) => sum + (x - mean) ** 2, 0) / intervals.length;
+
+    return {
+        median_interval_ms: sorted[Math.floor(sorted.length / 2)],
+        // Coefficient of variation; near zero means metronome-like typing
+        variation: mean > 0 ? Number((Math.sqrt(variance) / mean).toFixed(3)) : 0,
+    };
+}
+
+// ============================================
+// Typing Progress
+// ============================================
+
+// Own progress goes to the server at most this often while typing
+const TYPING_PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * How far through the incantation the typed text is, with accuracy so far
+ * and current speed. Only these numbers are ever sent, never the text.
+ */
+function measureTypingProgress(expected, typed, startTime) {
+    const expectedChars = splitGraphemes(expected);
+    const typedChars = splitGraphemes(typed);
+    const correct = typedChars.filter((char, i) => char === expectedChars[i]).length;
+    const minutes = (Date.now() - startTime) / 60000;
+    return {
+        progress: expectedChars.length > 0 ? Math.min(1, typedChars.length / expectedChars.length) : 1,
+        accuracy: typedChars.length > 0 ? correct / typedChars.length : 1,
+        wpm: minutes > 0 ? (typedChars.length / 5) / minutes : 0,
+    };
+}
+
+/**
+ * Throttled typing_progress sender. Bursts of input collapse into one
+ * message per interval, and the latest reading is always sent last.
+ */
+const progressReporter = {
+    pending: null,
+    lastSentAt: 0,
+    timer: null,
+
+    report(progress) {
+        this.pending = progress;
+        const wait = this.lastSentAt + TYPING_PROGRESS_INTERVAL_MS - Date.now();
+        if (wait <= 0) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), wait);
+        }
+    },
+
+    flush() {
+        this.timer = null;
+        if (!this.pending) return;
+        send({
+            type: 'typing_progress',
+            progress: Math.round(this.pending.progress * 1000) / 1000,
+            accuracy: Math.round(this.pending.accuracy * 1000) / 1000,
+            wpm: Math.round(this.pending.wpm * 10) / 10,
+        });
+        this.pending = null;
+        this.lastSentAt = Date.now();
+    },
+
+    // Submitting supersedes any progress still waiting to go out
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+    },
+};
+
+function handleTypingProgress(msg) {
+    const game = state.gameState;
+    if (!game || game.phase !== 'typing' || msg.player_id === state.playerId) {
+        return;
+    }
+    setTypingProgress(msg.player_id, readTypingProgress(msg));
+}
+
+function readTypingProgress(msg) {
+    return {
+        progress: Math.min(1, Math.max(0, Number(msg.progress) || 0)),
+        accuracy: Math.min(1, Math.max(0, Number(msg.accuracy) || 0)),
+        wpm: Math.max(0, Number(msg.wpm) || 0),
+    };
+}
+
+// Progress bars are patched in place so cards don't re-render per keystroke
+function setTypingProgress(playerId, progress) {
+    state.typingProgress[playerId] = progress;
+    document.querySelectorAll('.typing-progress').forEach(el => {
+        if (el.dataset.playerId === playerId) {
+            el.innerHTML = formatTypingProgressBar(progress);
+        }
+    });
+}
+
+function formatTypingProgress(playerId) {
+    return `
+        <div class="typing-progress" data-player-id="${escapeHtml(playerId)}">
+            ${formatTypingProgressBar(state.typingProgress[playerId])}
+        </div>
+    `;
+}
+
+function formatTypingProgressBar(progress) {
+    const percent = progress ? Math.round(progress.progress * 100) : 0;
+    const stats = progress
+        ? t('typing.progress_stats', { wpm: Math.round(progress.wpm), accuracy: i18n.formatPercent(progress.accuracy) })
+        : '';
+    return `
+        <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+        <div class="progress-stats">${stats}</div>
+    `;
+}
+
+// A haunting ghost races its victim: own progress beside theirs
+function renderHauntRace(target) {
+    if (!target) {
+        elements.hauntRace.innerHTML = '';
+        return;
+    }
+    elements.hauntRace.innerHTML = `
+        <div class="haunt-race-row">
+            <span class="haunt-race-name">${t('ghost.race_you')}</span>
+            ${formatTypingProgress(state.playerId)}
+        </div>
+        <div class="haunt-race-row">
+            <span class="haunt-race-name">${escapeHtml(target.name)}</span>
+            ${formatTypingProgress(target.id)}
+        </div>
+    `;
 }
 
 // ============================================
@@ -978,32 +3201,33 @@ function renderGhostPhase() {
         renderGhostTypingPhase();
     } else {
         // Ghost has finished all actions, wait for resolution
-        showWaiting('Your curse is prepared. Waiting for the living...');
+        showWaiting(t('ghost.prepared'));
     }
 }
 
 function renderGhostHauntTypeSelection() {
     const game = state.gameState;
     if (!game.available_haunt_types) {
-        showWaiting('Preparing haunting options...');
+        showWaiting(t('ghost.preparing'));
         return;
     }
 
     elements.ghostHauntSelection.classList.remove('hidden');
 
     let html = '';
-    for (const hauntType of game.available_haunt_types) {
+    game.available_haunt_types.forEach((hauntType, index) => {
         const selected = state.selectedHauntType === hauntType.haunt_type;
         html += `
-            <div class="haunt-type-card ${selected ? 'selected' : ''}" data-haunt-type="${hauntType.haunt_type}">
-                <div class="haunt-type-name">${escapeHtml(hauntType.name)}</div>
+            <button type="button" class="haunt-type-card ${selected ? 'selected' : ''}" data-haunt-type="${hauntType.haunt_type}">
+                ${formatKeyHint(index)}
+                <div class="haunt-type-name">${escapeHtml(getHauntTypeName(hauntType.haunt_type, hauntType.name))}</div>
                 <div class="haunt-type-description">${escapeHtml(hauntType.description)}</div>
                 <div class="haunt-type-penalty">${escapeHtml(hauntType.penalty_value)}</div>
-            </div>
+            </button>
         `;
-    }
+    });
 
-    elements.hauntTypeOptions.innerHTML = html;
+    replaceOptions(elements.hauntTypeOptions, '.haunt-type-card', html);
 
     // Add click handlers
     document.querySelectorAll('.haunt-type-card').forEach(card => {
@@ -1031,23 +3255,28 @@ function renderGhostTargetSelection() {
     const livingPlayers = game.players.filter(p => p.is_alive && p.id !== state.playerId);
 
     if (livingPlayers.length === 0) {
-        elements.ghostTargetOptions.innerHTML = '<p>No living players to haunt!</p>';
+        elements.ghostTargetOptions.innerHTML = `<p>${t('ghost.no_victims')}</p>`;
         return;
     }
 
     let html = '';
-    for (const player of livingPlayers) {
+    livingPlayers.forEach((player, index) => {
         const selected = state.selectedHauntTarget === player.id;
-        const hpPercent = Math.round((player.hp / player.max_hp) * 100);
+        const hpText = t('ghost.target_hp', {
+            hp: player.hp,
+            max: player.max_hp,
+            percent: i18n.formatPercent(player.hp / player.max_hp),
+        });
         html += `
-            <div class="ghost-target-btn ${selected ? 'selected' : ''}" data-target-id="${player.id}">
+            <button type="button" class="ghost-target-btn ${selected ? 'selected' : ''}" data-target-id="${player.id}">
+                ${formatKeyHint(index)}
                 <div class="ghost-target-name">${escapeHtml(player.name)}</div>
-                <div class="ghost-target-hp">${player.hp} / ${player.max_hp} HP (${hpPercent}%)</div>
-            </div>
+                <div class="ghost-target-hp">${hpText}</div>
+            </button>
         `;
-    }
+    });
 
-    elements.ghostTargetOptions.innerHTML = html;
+    replaceOptions(elements.ghostTargetOptions, '.ghost-target-btn', html);
 
     // Add click handlers
     document.querySelectorAll('.ghost-target-btn').forEach(btn => {
@@ -1072,13 +3301,13 @@ function renderGhostTypingPhase() {
 
     // If already submitted, show waiting
     if (state.ghostTypingSubmitted) {
-        showWaiting('Waiting for other players to finish...');
+        showWaiting(t('ghost.waiting'));
         return;
     }
 
     // Show the incantation for typing
     if (!game.typing_phase || !game.typing_phase.incantation) {
-        showWaiting('Waiting for incantation...');
+        showWaiting(t('ghost.waiting_incantation'));
         return;
     }
 
@@ -1088,7 +3317,8 @@ function renderGhostTypingPhase() {
     // Find the target we're haunting
     const targetId = self.ghost_state?.haunting_target_id;
     const target = game.players.find(p => p.id === targetId);
-    elements.hauntTargetName.textContent = target ? target.name : 'Unknown';
+    elements.hauntTargetName.textContent = target ? target.name : t('common.unknown');
+    renderHauntRace(target);
 
     const incantation = game.typing_phase.incantation;
 
@@ -1097,7 +3327,8 @@ function renderGhostTypingPhase() {
     if (isFirstRender) {
         elements.ghostTypingInput.value = '';
         state.ghostTypingStartTime = Date.now();
-        startGhostTypingTimer(game.typing_phase.duration_ms, game.phase_time_remaining_ms);
+        state.ghostTypingKeystrokes = createKeystrokeLog(state.ghostTypingStartTime);
+        startGhostTypingTimer(game.typing_phase.duration_ms);
     }
 
     // Enable input and focus
@@ -1105,11 +3336,16 @@ function renderGhostTypingPhase() {
     elements.ghostTypingInput.focus();
 
     // Set up input handler
-    elements.ghostTypingInput.oninput = () => {
+    const handleInput = (e) => {
+        recordKeystroke(state.ghostTypingKeystrokes, e, elements.ghostTypingInput.value, incantation);
         updateGhostTypingFeedback(incantation, elements.ghostTypingInput.value);
+        playKeystrokeSound(incantation, elements.ghostTypingInput.value, e);
+
+        // A ghost's own progress stays local; only the race panel shows it
+        setTypingProgress(state.playerId, measureTypingProgress(incantation, elements.ghostTypingInput.value, state.ghostTypingStartTime));
 
         // Check if done typing (typed enough characters) - auto-submit
-        if (elements.ghostTypingInput.value.length >= incantation.length) {
+        if (isIncantationComplete(incantation, elements.ghostTypingInput.value)) {
             setTimeout(() => {
                 if (!state.ghostTypingSubmitted) {
                     submitGhostTyping();
@@ -1117,13 +3353,18 @@ function renderGhostTypingPhase() {
             }, 100);
         }
     };
+    elements.ghostTypingInput.oninput = (e) => {
+        if (!isComposing(elements.ghostTypingInput, e)) {
+            handleInput(e);
+        }
+    };
 
     // Handle submit button
     elements.submitGhostTypingBtn.onclick = () => submitGhostTyping();
 
     // Handle Enter key
     elements.ghostTypingInput.onkeydown = (e) => {
-        if (e.key === 'Enter') {
+        if (e.key === 'Enter' && !isComposing(elements.ghostTypingInput, e)) {
             e.preventDefault();
             submitGhostTyping();
         }
@@ -1137,35 +3378,23 @@ function updateGhostTypingFeedback(incantation, typed) {
     // Use the same word-by-word highlighting logic as living players
     const html = generateTypingFeedbackHtml(incantation, typed);
     elements.ghostTypingFeedback.innerHTML = html;
+    reportTypingErrors(elements.ghostTypingInput, elements.ghostTypingFeedback);
 }
 
-function startGhostTypingTimer(duration, remaining) {
+function startGhostTypingTimer(duration) {
     stopTimer();
 
-    const initialRemaining = remaining !== undefined ? remaining : duration;
-    const startTime = Date.now();
-
-    state.timerInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const remainingMs = Math.max(0, initialRemaining - elapsed);
-        const seconds = Math.ceil(remainingMs / 1000);
-
-        elements.timerDisplay.textContent = `${seconds}s`;
-        if (seconds <= 5) {
-            elements.timerDisplay.classList.add('warning');
-        } else {
-            elements.timerDisplay.classList.remove('warning');
-        }
-
-        if (remainingMs <= 0) {
-            stopTimer();
-            // Auto-submit if not submitted yet
-            if (!state.ghostTypingSubmitted) {
-                submitGhostTyping();
-            }
-        }
-    }, 100);
-}
+    startCountdown(Date.now() + duration, {
+        format: seconds => t('common.seconds', { seconds }),
+        warn: true,
+        onExpire: () => {
+            // Auto-submit if not submitted yet
+            if (!state.ghostTypingSubmitted) {
+                submitGhostTyping();
+            }
+        },
+    });
+}
 
 function submitGhostTyping() {
     if (state.ghostTypingSubmitted) return;
@@ -1177,22 +3406,150 @@ function submitGhostTyping() {
     const typedText = elements.ghostTypingInput.value;
     const completionTime = state.ghostTypingStartTime ? Date.now() - state.ghostTypingStartTime : null;
 
-    send({
+    state.lastGhostTypingSubmission = {
         type: 'submit_ghost_typing',
-        typed_text: typedText,
-        completion_time_ms: completionTime
-    });
+        typed_text: typedText.normalize('NFC'),
+        completion_time_ms: completionTime,
+        keystrokes: serializeKeystrokeLog(state.ghostTypingKeystrokes),
+        integrity: assessTypingIntegrity(state.ghostTypingKeystrokes, typedText),
+    };
+    send(state.lastGhostTypingSubmission);
+
+    showWaiting(t('ghost.sent'));
+}
+
+// ============================================
+// Keyboard Controls
+// ============================================
+
+// Keys 1-9 pick the matching card; any further cards are reached with the arrows
+const MAX_NUMBER_HOTKEYS = 9;
+
+const ARROW_KEY_STEPS = {
+    ArrowLeft: -1,
+    ArrowUp: -1,
+    ArrowRight: 1,
+    ArrowDown: 1,
+};
+
+function formatKeyHint(index) {
+    return index < MAX_NUMBER_HOTKEYS ? `<span class="key-hint" aria-hidden="true">${index + 1}</span>` : '';
+}
+
+// Re-rendering replaces the cards; keep keyboard focus on the same slot
+function replaceOptions(container, selector, html) {
+    const focusedIndex = [...container.querySelectorAll(selector)].indexOf(document.activeElement);
+    container.innerHTML = html;
+    if (focusedIndex >= 0) {
+        const option = container.querySelectorAll(selector)[focusedIndex];
+        if (option) {
+            option.focus();
+        }
+    }
+}
 
-    showWaiting('Curse sent! Waiting for the living to finish...');
+// The card list the player can choose from right now, if any
+function getActiveOptionList() {
+    const lists = [
+        { panel: elements.spellSelection, container: elements.spellOptions, selector: '.spell-btn' },
+        { panel: elements.targetSelection, container: elements.targetOptions, selector: '.target-btn' },
+        { panel: elements.ghostHauntSelection, container: elements.hauntTypeOptions, selector: '.haunt-type-card' },
+        { panel: elements.ghostTargetSelection, container: elements.ghostTargetOptions, selector: '.ghost-target-btn' },
+    ];
+    return lists.find(list => !list.panel.classList.contains('hidden')) || null;
 }
 
+function moveOptionFocus(options, step) {
+    const enabled = options.filter(option => !option.disabled);
+    if (enabled.length === 0) return;
+
+    let index = enabled.indexOf(document.activeElement);
+    if (index === -1) {
+        // First arrow press lands on the current pick, or the end it points toward
+        index = enabled.findIndex(option => option.classList.contains('selected'));
+        if (index === -1) {
+            index = step > 0 ? 0 : enabled.length - 1;
+        }
+    } else {
+        index = (index + step + enabled.length) % enabled.length;
+    }
+    enabled[index].focus();
+}
+
+// A printable key pressed outside the incantation box goes into it instead
+function focusTypingInput(e) {
+    const input = [elements.typingInput, elements.ghostTypingInput]
+        .find(el => !el.disabled && !el.closest('.phase-content').classList.contains('hidden'));
+    if (input && document.activeElement !== input && e.key.length === 1) {
+        input.focus();
+    }
+}
+
+/**
+ * Number keys pick a card, arrows move between cards (Enter or Space
+ * then activates the focused one, as for any button), and Enter
+ * confirms a multi-target pick. Keys typed into fields are left alone.
+ */
+function handleGameHotkey(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+    if (elements.gameScreen.classList.contains('hidden') || state.isSpectator) return;
+    if (e.target.closest('input, select, textarea')) return;
+
+    const list = getActiveOptionList();
+    if (!list) {
+        focusTypingInput(e);
+        return;
+    }
+    const options = [...list.container.querySelectorAll(list.selector)];
+
+    // By physical key, so layouts that shift the digit row still work
+    const digit = /^(?:Digit|Numpad)([1-9])$/.exec(e.code);
+    if (digit) {
+        const option = options[Number(digit[1]) - 1];
+        if (option && !option.disabled) {
+            e.preventDefault();
+            option.focus();
+            option.click();
+        }
+        return;
+    }
+
+    const step = ARROW_KEY_STEPS[e.key];
+    if (step) {
+        e.preventDefault();
+        moveOptionFocus(options, step);
+        return;
+    }
+
+    if (e.key === 'Enter' && !options.includes(document.activeElement)) {
+        const confirmBtn = list.container.querySelector('.target-confirm-btn:not(:disabled)');
+        if (confirmBtn) {
+            e.preventDefault();
+            confirmBtn.click();
+        }
+    }
+}
+
+document.addEventListener('keydown', handleGameHotkey);
+
 // ============================================
 // Resolution Phase
 // ============================================
 
+// Only used when the server doesn't report resolution.duration_ms
+const DEFAULT_RESOLUTION_DURATION_MS = 10000;
+
+// Effectiveness a caster loses per stun
+const STUN_EFFECTIVENESS_LOSS = 0.33;
+
+function describeStun(count) {
+    return t('resolution.stunned', { count, percent: i18n.formatPercent(count * STUN_EFFECTIVENESS_LOSS) });
+}
+
 function renderResolution() {
     elements.resolutionPhase.classList.remove('hidden');
     elements.timerDisplay.classList.remove('hidden');
+    renderEmoteBar();
 
     const game = state.gameState;
     const resolution = game.resolution;
@@ -1200,46 +3557,62 @@ function renderResolution() {
 
     // Timer is handled by startResolutionTimer() which runs in the background
 
+    // The animation runs on its own clock so pause / skip / replay survive
+    // re-renders. It starts however far into the phase we arrived.
+    let view = state.resolutionView;
+    if (!view || view.turn !== game.turn_number) {
+        const schedule = getResolutionSchedule(game);
+        view = state.resolutionView = {
+            turn: game.turn_number,
+            totalDuration: schedule.totalDuration,
+            startedAt: Date.now() - schedule.elapsed,
+            pausedAt: null,
+        };
+        announcer.say(describeResolution(resolution));
+    }
+
     if (resolution.effects.length === 0) {
-        elements.resolutionResults.innerHTML = '<p>No spells cast this turn.</p>';
+        elements.resolutionResults.innerHTML = `<p>${t('resolution.no_spells')}</p>`;
+        // Haunts and the penalty still sound on a turn without spells
+        scheduleResolutionSounds();
         return;
     }
 
-    // Calculate timing for sequential animations
-    // Total time is 10 seconds (DEFAULT_RESOLUTION_SECONDS)
-    // This is hardcoded and needs to be changed in both server and client side code.
-    const totalDuration = 10000; // 10 seconds in ms
-    const numEffects = resolution.effects.length;
-    const effectDuration = totalDuration / numEffects;
-
-    // Each effect has 3 stages: caster (33%), spell (33%), targets (34%)
-    const casterDelay = effectDuration * 0.33;
-    const spellDelay = effectDuration * 0.66;
+    const elapsed = (view.pausedAt !== null ? view.pausedAt : Date.now()) - view.startedAt;
+    const stages = getResolutionStages(resolution, view.totalDuration);
 
     // Clear the container
     elements.resolutionResults.innerHTML = '';
+    elements.resolutionResults.classList.toggle('paused', view.pausedAt !== null);
+    updateResolutionControls();
 
     // Add ghost haunt results FIRST if present (so players understand penalties before seeing spells)
     if (resolution.ghost_haunts && resolution.ghost_haunts.length > 0) {
         const ghostHauntsDiv = document.createElement('div');
         ghostHauntsDiv.className = 'ghost-haunt-results';
 
-        let ghostHtml = '<h4 class="ghost-haunt-title">Ghost Haunts</h4>';
+        let ghostHtml = `<h4 class="ghost-haunt-title">${t('resolution.ghost_haunts')}</h4>`;
 
         for (const haunt of resolution.ghost_haunts) {
             const outcomeClass = haunt.was_successful ? 'success' : 'failure';
-            const outcomeText = haunt.was_successful ? 'Curse Applied!' : 'Resisted!';
+            const outcomeText = haunt.was_successful ? t('resolution.curse_applied') : t('resolution.resisted');
             const isAccuracyPenalty = haunt.haunt_type === 'accuracy_penalty';
-            const hauntTypeName = isAccuracyPenalty ? 'Curse of Imprecision' : 'Chains of Lethargy';
+            const hauntTypeName = getHauntTypeName(haunt.haunt_type);
 
             // Format the penalty text based on haunt type
             let penaltyText = '';
             if (haunt.was_successful) {
                 if (isAccuracyPenalty) {
-                    penaltyText = `${hauntTypeName}: -${(haunt.penalty_applied * 100).toFixed(0)}% spell effectiveness`;
+                    penaltyText = t('resolution.accuracy_curse', {
+                        name: hauntTypeName,
+                        percent: i18n.formatPercent(haunt.penalty_applied),
+                    });
                 } else {
                     // Speed penalty - penalty_applied is stored as seconds
-                    penaltyText = `${hauntTypeName}: +${haunt.penalty_applied.toFixed(0)}s cast delay`;
+                    penaltyText = t('resolution.speed_curse', {
+                        name: hauntTypeName,
+                        seconds: Math.round(haunt.penalty_applied),
+                    });
                 }
             }
 
@@ -1248,19 +3621,19 @@ function renderResolution() {
                     <div class="haunt-result-header">
                         <div class="haunt-result-players">
                             <span class="ghost-name">${escapeHtml(haunt.ghost_name)}</span>
-                            <span> haunted </span>
+                            <span> ${t('resolution.haunted')} </span>
                             <span class="target-name">${escapeHtml(haunt.target_name)}</span>
                         </div>
                         <div class="haunt-result-outcome ${outcomeClass}">${outcomeText}</div>
                     </div>
                     <div class="haunt-result-stats">
                         <div class="haunt-result-stat">
-                            <div class="label">Ghost</div>
-                            <div>${(haunt.ghost_accuracy * 100).toFixed(1)}% / ${haunt.ghost_time_ms ? (haunt.ghost_time_ms / 1000).toFixed(1) + 's' : 'DNF'}</div>
+                            <div class="label">${t('resolution.ghost')}</div>
+                            <div>${formatHauntAttempt(haunt.ghost_accuracy, haunt.ghost_time_ms)}</div>
                         </div>
                         <div class="haunt-result-stat">
-                            <div class="label">Target</div>
-                            <div>${(haunt.target_accuracy * 100).toFixed(1)}% / ${haunt.target_time_ms ? (haunt.target_time_ms / 1000).toFixed(1) + 's' : 'DNF'}</div>
+                            <div class="label">${t('resolution.target')}</div>
+                            <div>${formatHauntAttempt(haunt.target_accuracy, haunt.target_time_ms)}</div>
                         </div>
                     </div>
                     ${penaltyText ? `<div class="haunt-penalty-applied">${penaltyText}</div>` : ''}
@@ -1275,244 +3648,1579 @@ function renderResolution() {
     // Create all effect cards and animate them sequentially
     resolution.effects.forEach((effect, index) => {
         const isSelf = effect.caster_id === state.playerId;
-        const casterIndex = getPlayerIndex(effect.caster_id);
-        const casterSprite = getPlayerSprite(casterIndex, 'attack');
-        const spellImage = getSpellImage(effect.spell_name, effect.spell_type);
+        const casterSprite = getPlayerSprite(getPlayerSlot(effect.caster_id), 'attack');
+        const spellImage = spellManifest.describe({
+            id: effect.spell_id,
+            name: effect.spell_name,
+            spell_type: effect.spell_type,
+        }).art;
+
+        // Calculate delays for this effect (negative once we're past it)
+        const { caster, spell, targets } = stages.effects[index];
+
+        // Build stun indicator if caster was stunned
+        const stunIndicator = effect.stun_count && effect.stun_count > 0
+            ? `<span class="stun-indicator">${describeStun(effect.stun_count)}</span>`
+            : '';
+
+        // Create effect card container
+        const effectCard = document.createElement('div');
+        effectCard.className = `resolution-card ${isSelf ? 'self-effect' : ''}`;
+
+        // Build the card HTML
+        let cardHTML = `
+            <div class="resolution-row">
+                <div class="resolution-caster fade-element" style="animation-delay: ${caster - elapsed}ms">
+                    <img src="${casterSprite}" alt="${escapeHtml(effect.caster_name)}" class="caster-image">
+                    <div class="caster-name">${escapeHtml(effect.caster_name)}</div>
+                    ${stunIndicator}
+                </div>
+
+                <div class="resolution-spell fade-element" style="animation-delay: ${spell - elapsed}ms">
+                    <img src="${escapeHtml(spellImage)}" alt="${escapeHtml(effect.spell_name)}" class="spell-image">
+                    <div class="spell-info">
+                        <div class="spell-name">${escapeHtml(effect.spell_name)}</div>
+                        <div class="spell-accuracy">${t('resolution.accuracy', { percent: i18n.formatPercent(effect.accuracy_percent / 100, 1) })}</div>
+                    </div>
+                </div>
+
+                <div class="resolution-targets fade-element" style="animation-delay: ${targets - elapsed}ms">
+        `;
+
+        // Add all targets
+        effect.targets.forEach(target => {
+            const targetSprite = getPlayerSprite(getPlayerSlot(target.target_id), 'idle');
+            const isSelfTarget = target.target_id === effect.caster_id;
+            const { text: effectText, className: effectClass } = describeTargetEffect(target);
+
+            cardHTML += `
+                <div class="target-item ${isSelfTarget ? 'self-target' : ''}">
+                    <img src="${targetSprite}" alt="${escapeHtml(target.target_name)}" class="target-image">
+                    <div class="target-info">
+                        <div class="target-name">${escapeHtml(target.target_name)}${isSelfTarget ? ` <span class="self-target-badge">${t('resolution.self')}</span>` : ''}</div>
+                        <div class="target-effect ${effectClass}">${effectText}</div>
+                        <div class="target-hp">${t('common.hp', { hp: target.hp_after })}</div>
+                    </div>
+                </div>
+            `;
+        });
+
+        cardHTML += `
+                </div>
+            </div>
+        `;
+
+        effectCard.innerHTML = cardHTML;
+        elements.resolutionResults.appendChild(effectCard);
+    });
+
+    // Add accuracy penalty card if present
+    if (resolution.accuracy_penalty) {
+        const penalty = resolution.accuracy_penalty;
+        const penaltySprite = getPlayerSprite(getPlayerSlot(penalty.player_id), 'idle');
+        const isSelf = penalty.player_id === state.playerId;
+
+        // Calculate delay to appear after all spell effects
+        const penaltyDelay = stages.penalty - elapsed;
+
+        const penaltyCard = document.createElement('div');
+        penaltyCard.className = `resolution-card penalty-card ${isSelf ? 'self-effect' : ''}`;
+
+        let penaltyEffectText = t('resolution.damage', { amount: penalty.damage });
+        let penaltyEffectClass = 'damage';
+        if (penalty.was_killed) {
+            penaltyEffectText = t('resolution.defeated');
+            penaltyEffectClass += ' kill';
+        }
+
+        penaltyCard.innerHTML = `
+            <div class="resolution-row fade-element" style="animation-delay: ${penaltyDelay}ms">
+                <div class="resolution-caster">
+                    <img src="${penaltySprite}" alt="${escapeHtml(penalty.player_name)}" class="caster-image">
+                    <div class="caster-name">${escapeHtml(penalty.player_name)}</div>
+                </div>
+
+                <div class="resolution-spell penalty-indicator">
+                    <div class="penalty-icon">📉</div>
+                    <div class="spell-info">
+                        <div class="spell-name penalty-title">${t('resolution.penalty_title')}</div>
+                        <div class="spell-accuracy">${t('resolution.accuracy', { percent: i18n.formatPercent(penalty.accuracy_percent / 100, 1) })}</div>
+                    </div>
+                </div>
+
+                <div class="resolution-targets">
+                    <div class="target-item">
+                        <img src="${penaltySprite}" alt="${escapeHtml(penalty.player_name)}" class="target-image">
+                        <div class="target-info">
+                            <div class="target-name">${escapeHtml(penalty.player_name)}</div>
+                            <div class="target-effect ${penaltyEffectClass}">${penaltyEffectText}</div>
+                            <div class="target-hp">${t('common.hp', { hp: penalty.hp_after })}</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        elements.resolutionResults.appendChild(penaltyCard);
+    }
+
+    scheduleResolutionSounds();
+}
+
+// Where the spell and targets stages start within an effect's slot, for
+// servers that don't send resolution.schedule
+const RESOLUTION_SPELL_STAGE = 0.33;
+const RESOLUTION_TARGETS_STAGE = 0.66;
+
+/**
+ * When each effect's caster, spell and targets appear, and when the
+ * penalty card does, in ms from the start of the resolution. The server's
+ * resolution.schedule decides when it sends one; otherwise effects share
+ * the window evenly, leaving a last slot for the accuracy penalty so it
+ * shows before the next turn.
+ */
+function getResolutionStages(resolution, totalDuration) {
+    const schedule = resolution.schedule;
+    if (schedule && Array.isArray(schedule.effects) && schedule.effects.length === resolution.effects.length) {
+        const effects = schedule.effects.map(stage => ({
+            caster: stage.caster_ms,
+            spell: stage.spell_ms,
+            targets: stage.targets_ms,
+        }));
+        const lastTargets = effects.length > 0 ? effects[effects.length - 1].targets : 0;
+        return {
+            effects,
+            penalty: typeof schedule.penalty_ms === 'number' ? schedule.penalty_ms : lastTargets,
+        };
+    }
+
+    const numSlots = resolution.effects.length + (resolution.accuracy_penalty ? 1 : 0);
+    const effectDuration = totalDuration / Math.max(1, numSlots);
+    return {
+        effects: resolution.effects.map((effect, index) => ({
+            caster: index * effectDuration,
+            spell: (index + RESOLUTION_SPELL_STAGE) * effectDuration,
+            targets: (index + RESOLUTION_TARGETS_STAGE) * effectDuration,
+        })),
+        penalty: resolution.effects.length * effectDuration,
+    };
+}
+
+/**
+ * Line the impact sounds up with the animation: each spell lands as its
+ * targets appear, the penalty as its card does. Haunts sound once, as
+ * the turn's resolution opens. Re-scheduled from the current position on
+ * every render, and dropped while paused.
+ */
+function scheduleResolutionSounds() {
+    audioEngine.cancelScheduled();
+    const view = state.resolutionView;
+    const resolution = state.gameState.resolution;
+    const replayPaused = state.replay && !state.replay.playing;
+    if (!view || view.pausedAt !== null || replayPaused || !resolution) {
+        return;
+    }
+    const elapsed = Date.now() - view.startedAt;
+    const stages = getResolutionStages(resolution, view.totalDuration);
+
+    if (!view.hauntSoundPlayed && resolution.ghost_haunts && resolution.ghost_haunts.length > 0) {
+        view.hauntSoundPlayed = true;
+        // Only while the haunts are still news: before the first spell lands
+        const hauntWindow = stages.effects.length > 0 ? stages.effects[0].spell : view.totalDuration;
+        if (elapsed < hauntWindow) {
+            audioEngine.play('haunt');
+        }
+    }
+
+    resolution.effects.forEach((effect, index) => {
+        const killed = effect.targets.some(target => target.was_killed);
+        const cue = killed ? 'impact_kill' : `impact_${effect.spell_type}`;
+        audioEngine.schedule(cue in AUDIO_CUES ? cue : 'impact_attack', stages.effects[index].targets - elapsed);
+    });
+
+    const penalty = resolution.accuracy_penalty;
+    if (penalty) {
+        const cue = penalty.was_killed ? 'impact_kill' : 'penalty';
+        if (stages.penalty > 0) {
+            audioEngine.schedule(cue, stages.penalty - elapsed);
+        } else if (!view.penaltySoundPlayed) {
+            // With no spells the penalty opens the turn: sound it once, like the haunts
+            view.penaltySoundPlayed = true;
+            if (elapsed < view.totalDuration) {
+                audioEngine.play(cue);
+            }
+        }
+    }
+}
+
+/**
+ * How long this turn's resolution lasts and how far into it we are,
+ * from the server's resolution duration and the phase deadline.
+ */
+function getResolutionSchedule(game) {
+    let remaining = null;
+    if (state.replay) {
+        const entry = state.replay.messages[state.replay.frameIndex];
+        if (entry && typeof game.phase_time_remaining_ms === 'number') {
+            remaining = game.phase_time_remaining_ms - (state.replay.position - entry.t);
+        }
+    } else if (state.phaseDeadline !== null) {
+        remaining = state.phaseDeadline - Date.now();
+    }
+
+    const totalDuration = game.resolution.duration_ms || DEFAULT_RESOLUTION_DURATION_MS;
+    const elapsed = remaining === null ? 0 : Math.min(totalDuration, Math.max(0, totalDuration - remaining));
+    return { totalDuration, elapsed };
+}
+
+function describeTargetEffect(target) {
+    if (target.damage_dealt !== undefined && target.damage_dealt !== null) {
+        return target.was_killed
+            ? { text: t('resolution.defeated'), className: 'damage kill' }
+            : { text: t('resolution.damage', { amount: target.damage_dealt }), className: 'damage' };
+    }
+    if (target.healing_received !== undefined && target.healing_received !== null) {
+        return { text: t('resolution.healing', { amount: target.healing_received }), className: 'healing' };
+    }
+    if (target.shield_effectiveness !== undefined && target.shield_effectiveness !== null) {
+        return {
+            text: t('resolution.shield', { percent: i18n.formatPercent(target.shield_effectiveness / 100, 1) }),
+            className: 'shield',
+        };
+    }
+    return { text: '', className: '' };
+}
 
-        // Calculate delays for this effect
-        const baseDelay = index * effectDuration;
+// The whole turn's outcome as one sentence per haunt, spell and penalty
+function describeResolution(resolution) {
+    const sentences = describeResolutionEvents(resolution).map(event => event.text);
+    return sentences.length > 0 ? sentences.join(' ') : t('resolution.no_spells');
+}
+
+/**
+ * A turn's events in resolution order (haunts, spells, then the accuracy
+ * penalty), each with its kind and a one-sentence description.
+ */
+function describeResolutionEvents(resolution) {
+    const events = (resolution.ghost_haunts || []).map(haunt => ({
+        kind: 'haunt',
+        successful: haunt.was_successful,
+        text: t('a11y.haunt', {
+            ghost: haunt.ghost_name,
+            target: haunt.target_name,
+            outcome: haunt.was_successful ? t('resolution.curse_applied') : t('resolution.resisted'),
+        }),
+    }));
+
+    for (const effect of resolution.effects) {
+        const outcomes = effect.targets
+            .map(target => t('a11y.target_effect', { target: target.target_name, effect: describeTargetEffect(target).text }));
+        events.push({
+            kind: 'spell',
+            stunCount: effect.stun_count || 0,
+            text: t('a11y.spell_cast', {
+                caster: effect.caster_name,
+                spell: effect.spell_name,
+                accuracy: i18n.formatPercent(effect.accuracy_percent / 100),
+                outcomes: i18n.formatList(outcomes),
+            }),
+        });
+    }
+
+    const penalty = resolution.accuracy_penalty;
+    if (penalty) {
+        events.push({
+            kind: 'penalty',
+            text: t('a11y.penalty', {
+                player: penalty.player_name,
+                effect: penalty.was_killed ? t('resolution.defeated') : t('resolution.damage', { amount: penalty.damage }),
+            }),
+        });
+    }
+
+    return events;
+}
+
+/**
+ * Localized haunt name by type, falling back to the server's name for
+ * haunt types the catalog doesn't know.
+ */
+function getHauntTypeName(hauntType, fallbackName) {
+    const key = `haunt_types.${hauntType}`;
+    return i18n.has(key) || !fallbackName ? t(key) : fallbackName;
+}
+
+function formatHauntAttempt(accuracy, timeMs) {
+    const time = timeMs
+        ? t('common.seconds', { seconds: i18n.formatDecimal(timeMs / 1000) })
+        : t('resolution.did_not_finish');
+    return `${i18n.formatPercent(accuracy, 1)} / ${time}`;
+}
+
+function toggleResolutionPause() {
+    const view = state.resolutionView;
+    if (!view) {
+        return;
+    }
+    if (view.pausedAt !== null) {
+        view.startedAt += Date.now() - view.pausedAt;
+        view.pausedAt = null;
+    } else {
+        view.pausedAt = Date.now();
+    }
+    // CSS pauses the running fade-ins in place
+    elements.resolutionResults.classList.toggle('paused', view.pausedAt !== null);
+    updateResolutionControls();
+    scheduleResolutionSounds();
+}
+
+function skipResolution() {
+    const view = state.resolutionView;
+    if (!view) {
+        return;
+    }
+    view.startedAt = Date.now() - view.totalDuration;
+    view.pausedAt = null;
+    renderResolution();
+}
+
+function replayResolution() {
+    const view = state.resolutionView;
+    if (!view) {
+        return;
+    }
+    view.startedAt = Date.now();
+    view.pausedAt = null;
+    renderResolution();
+}
+
+function updateResolutionControls() {
+    const view = state.resolutionView;
+    elements.resolutionPauseBtn.textContent = view && view.pausedAt !== null ? t('resolution.resume') : t('resolution.pause');
+}
+
+elements.resolutionPauseBtn.addEventListener('click', toggleResolutionPause);
+elements.resolutionSkipBtn.addEventListener('click', skipResolution);
+elements.resolutionReplayBtn.addEventListener('click', replayResolution);
+
+// ============================================
+// Game Over Screen
+// ============================================
+
+function showGameOver() {
+    showScreen('gameover-screen');
+
+    const game = state.gameState;
+    const winner = game.players.find(p => p.id === game.winner);
+
+    if (winner) {
+        elements.winnerName.textContent = winner.name;
+    } else {
+        elements.winnerName.textContent = t('gameover.draw');
+    }
+    announcer.say(winner ? t('a11y.winner', { name: winner.name }) : t('a11y.draw'));
+
+    // Show player statistics
+    if (game.player_stats && game.player_stats.length > 0) {
+        let statsHtml = `<h3>${t('gameover.stats_title')}</h3><div class="stats-grid">`;
+
+        for (const stats of game.player_stats) {
+            const isWinner = stats.player_id === game.winner;
+            const spriteUrl = getPlayerSprite(getPlayerSlot(stats.player_id), 'idle', !isWinner);
+            const isSelf = stats.player_id === state.playerId;
+
+            statsHtml += `
+                <div class="player-stat-card ${isSelf ? 'self' : ''}">
+                    <div class="stat-header">
+                        <img src="${spriteUrl}" alt="${escapeHtml(stats.player_name)}" class="stat-sprite">
+                        <div class="stat-player-name">${escapeHtml(stats.player_name)}</div>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.avg_wpm')}</span>
+                        <span class="stat-value">${i18n.formatDecimal(stats.avg_wpm)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.max_wpm')}</span>
+                        <span class="stat-value">${i18n.formatDecimal(stats.max_wpm)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.avg_accuracy')}</span>
+                        <span class="stat-value">${i18n.formatPercent(stats.avg_accuracy, 1)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.damage_dealt')}</span>
+                        <span class="stat-value damage">${i18n.formatNumber(stats.total_damage_dealt)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.damage_taken')}</span>
+                        <span class="stat-value damage">${i18n.formatNumber(stats.total_damage_received)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.healing')}</span>
+                        <span class="stat-value heal">${i18n.formatNumber(stats.total_healing)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">${t('gameover.top_spell')}</span>
+                        <span class="stat-value">${escapeHtml(t('gameover.top_spell_value', { spell: stats.top_spell, count: stats.top_spell_count }))}</span>
+                    </div>
+                </div>
+            `;
+        }
+        statsHtml += '</div>';
+        elements.playerStats.innerHTML = statsHtml;
+    } else {
+        elements.playerStats.innerHTML = '';
+    }
+
+    // Show final scores
+    let html = '';
+    for (const player of game.players) {
+        const isWinner = player.id === game.winner;
+        html += `
+            <div class="final-player ${isWinner ? 'winner' : ''}">
+                <div class="name">${escapeHtml(player.name)} ${isWinner ? '👑' : ''}</div>
+                <div class="hp">${t('gameover.hp_remaining', { hp: player.hp })}</div>
+            </div>
+        `;
+    }
+    elements.finalScores.innerHTML = html;
+
+    renderMatchTimeline();
+
+    // Spectators stay in the room and pick up the next match when it starts
+    elements.playAgainBtn.classList.toggle('hidden', state.isSpectator);
+    elements.exportReplayBtn.classList.toggle('hidden', Boolean(state.replay) || !matchRecorder.current);
+}
+
+elements.playAgainBtn.addEventListener('click', () => {
+    send({ type: 'play_again' });
+});
+
+elements.exportReplayBtn.addEventListener('click', () => {
+    matchRecorder.download();
+});
+
+// ============================================
+// Match Timeline
+// ============================================
+
+const TIMELINE_CHART_WIDTH = 520;
+const TIMELINE_CHART_HEIGHT = 200;
+const TIMELINE_CHART_PADDING = 28;
+const TIMELINE_MAX_AXIS_LABELS = 10;
+
+/**
+ * Every turn's resolution for the current match, keyed by turn_number,
+ * with each wizard's HP once the turn resolved. game_update only carries
+ * the latest resolution, so this is the match's only memory of earlier
+ * turns. A new match starts a fresh timeline.
+ */
+const matchTimeline = {
+    players: new Map(), // id -> name, in the order first seen
+    startHp: null,
+    turns: new Map(),
+    finished: false,
+
+    reset() {
+        this.players = new Map();
+        this.startHp = null;
+        this.turns = new Map();
+        this.finished = false;
+    },
+
+    observe(game) {
+        if (this.finished && game.phase !== 'game_over') {
+            this.reset();
+        }
+        for (const player of game.players) {
+            this.players.set(player.id, player.name);
+        }
+        if (!this.startHp) {
+            this.startHp = this.snapshotHp(game);
+        }
+        if (game.phase === 'resolution' && game.resolution) {
+            this.turns.set(game.turn_number, {
+                turn_number: game.turn_number,
+                resolution: game.resolution,
+                hp: this.snapshotHp(game),
+            });
+        }
+        if (game.phase === 'game_over') {
+            this.finished = true;
+        }
+    },
+
+    rebuild(games) {
+        this.reset();
+        games.forEach(game => this.observe(game));
+    },
+
+    snapshotHp(game) {
+        return Object.fromEntries(game.players.map(p => [p.id, p.hp]));
+    },
+
+    // Turns in order, each with the HP it started from
+    orderedTurns() {
+        let previous = this.startHp || {};
+        return [...this.turns.values()]
+            .sort((a, b) => a.turn_number - b.turn_number)
+            .map(turn => {
+                const entry = { ...turn, hpBefore: previous };
+                previous = turn.hp;
+                return entry;
+            });
+    },
+};
+
+// Wizards whose HP reached zero during this turn
+function getDefeatedThisTurn(turn) {
+    return Object.keys(turn.hp).filter(id => turn.hp[id] <= 0 && (turn.hpBefore[id] === undefined || turn.hpBefore[id] > 0));
+}
+
+/**
+ * Turns where a haunt or the lowest-accuracy penalty decided someone's
+ * fate: the penalty dealt the killing blow, earlier penalties cost a
+ * wizard more HP than the blow that finished them had to spare, or a
+ * cursed wizard fell in the same turn as the curse.
+ */
+function findDecidingMoments(turns) {
+    const moments = [];
+    const penaltyTaken = {};
+
+    for (const turn of turns) {
+        const resolution = turn.resolution;
+        const defeated = getDefeatedThisTurn(turn);
+        const penalty = resolution.accuracy_penalty;
+
+        for (const haunt of resolution.ghost_haunts || []) {
+            if (haunt.was_successful && defeated.includes(haunt.target_id)) {
+                moments.push({
+                    turn: turn.turn_number,
+                    text: t('timeline.haunt_decided', { turn: turn.turn_number, ghost: haunt.ghost_name, target: haunt.target_name }),
+                });
+            }
+        }
+
+        for (const playerId of defeated) {
+            const name = matchTimeline.players.get(playerId);
+            if (penalty && penalty.player_id === playerId && penalty.was_killed) {
+                moments.push({ turn: turn.turn_number, text: t('timeline.penalty_killed', { turn: turn.turn_number, player: name }) });
+                continue;
+            }
+            // How far past zero the final turn's damage went
+            const damageTaken = resolution.effects
+                .flatMap(effect => effect.targets)
+                .filter(target => target.target_id === playerId)
+                .reduce((sum, target) => sum + (target.damage_dealt || 0), 0);
+            const margin = damageTaken - (turn.hpBefore[playerId] || 0);
+            if (penaltyTaken[playerId] > margin) {
+                moments.push({
+                    turn: turn.turn_number,
+                    text: t('timeline.penalties_decided', { turn: turn.turn_number, player: name, damage: penaltyTaken[playerId] }),
+                });
+            }
+        }
+
+        if (penalty) {
+            penaltyTaken[penalty.player_id] = (penaltyTaken[penalty.player_id] || 0) + penalty.damage;
+        }
+    }
+    return moments;
+}
+
+function renderMatchTimeline() {
+    const turns = matchTimeline.orderedTurns();
+    elements.matchTimeline.classList.toggle('hidden', turns.length === 0);
+    if (turns.length === 0) {
+        return;
+    }
+
+    const moments = findDecidingMoments(turns);
+    const decisiveTurns = new Set(moments.map(moment => moment.turn));
+    elements.timelineDeciders.innerHTML = moments
+        .map(moment => `<li>${escapeHtml(moment.text)}</li>`)
+        .join('');
+
+    renderHpChart(turns);
+
+    elements.timelineTurns.innerHTML = turns.map(turn => {
+        const resolution = turn.resolution;
+        const defeated = getDefeatedThisTurn(turn).map(id => matchTimeline.players.get(id));
+        const hauntCount = (resolution.ghost_haunts || []).length;
+        const headline = [t('timeline.spells', { count: resolution.effects.length })];
+        if (hauntCount > 0) {
+            headline.push(t('timeline.haunts', { count: hauntCount }));
+        }
+        if (defeated.length > 0) {
+            headline.push(t('timeline.defeated', { names: i18n.formatList(defeated) }));
+        }
+        const decisive = decisiveTurns.has(turn.turn_number);
+
+        const events = describeResolutionEvents(resolution).map(event => {
+            const classes = ['timeline-event', event.kind];
+            if (event.kind === 'haunt') {
+                classes.push(event.successful ? 'success' : 'failure');
+            }
+            const stun = event.stunCount > 0
+                ? ` <span class="stun-indicator">${describeStun(event.stunCount)}</span>`
+                : '';
+            return `<li class="${classes.join(' ')}">${escapeHtml(event.text)}${stun}</li>`;
+        });
+
+        return `
+            <details class="timeline-turn ${decisive ? 'decisive' : ''}" ${decisive ? 'open' : ''}>
+                <summary>
+                    <span class="timeline-turn-number">${t('timeline.turn', { turn: turn.turn_number })}</span>
+                    <span class="timeline-turn-headline">${escapeHtml(headline.join(' · '))}</span>
+                    ${decisive ? `<span class="timeline-decisive-badge">${t('timeline.decisive')}</span>` : ''}
+                </summary>
+                <ul class="timeline-events">
+                    ${events.length > 0 ? events.join('') : `<li class="timeline-event">${t('resolution.no_spells')}</li>`}
+                </ul>
+            </details>
+        `;
+    }).join('');
+}
+
+/**
+ * One HP line per wizard in their sprite color, from the match start
+ * through each resolved turn.
+ */
+function renderHpChart(turns) {
+    const width = TIMELINE_CHART_WIDTH;
+    const height = TIMELINE_CHART_HEIGHT;
+    const pad = TIMELINE_CHART_PADDING;
+    const snapshots = [matchTimeline.startHp || {}, ...turns.map(turn => turn.hp)];
+    const maxHp = Math.max(1, ...snapshots.flatMap(snapshot => Object.values(snapshot)));
+    const step = (width - pad * 2) / Math.max(1, snapshots.length - 1);
+    const x = index => pad + index * step;
+    const y = hp => height - pad - (Math.max(0, hp) / maxHp) * (height - pad * 2);
+
+    // Start, then every nth turn so the axis stays readable
+    const labelEvery = Math.ceil(snapshots.length / TIMELINE_MAX_AXIS_LABELS);
+    const labels = snapshots.map((snapshot, index) => {
+        if (index % labelEvery !== 0) {
+            return '';
+        }
+        const text = index === 0 ? t('timeline.start') : i18n.formatNumber(turns[index - 1].turn_number);
+        return `<text class="timeline-axis-label" x="${x(index).toFixed(1)}" y="${height - 8}" text-anchor="middle">${escapeHtml(text)}</text>`;
+    }).join('');
+
+    const lines = [...matchTimeline.players].map(([playerId, name]) => {
+        const color = playerColors.cssColor(getPlayerSlot(playerId));
+        const points = snapshots
+            .map((snapshot, index) => (playerId in snapshot ? `${x(index).toFixed(1)},${y(snapshot[playerId]).toFixed(1)}` : null))
+            .filter(Boolean)
+            .join(' ');
+        return `<polyline class="timeline-hp-line" style="stroke: ${color}" points="${points}"><title>${escapeHtml(name)}</title></polyline>`;
+    }).join('');
+
+    elements.timelineHpChart.innerHTML = `
+        <svg class="timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('timeline.hp_chart'))}">
+            <line class="timeline-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"></line>
+            <text class="timeline-axis-label" x="4" y="${pad}">${i18n.formatNumber(maxHp)}</text>
+            ${labels}
+            ${lines}
+        </svg>
+    `;
+
+    elements.timelineLegend.innerHTML = [...matchTimeline.players].map(([playerId, name]) => `
+        <li><span class="timeline-swatch" style="background: ${playerColors.cssColor(getPlayerSlot(playerId))}"></span>${escapeHtml(name)}</li>
+    `).join('');
+}
+
+// ============================================
+// Chat & Emotes
+// ============================================
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 100;
+// At most CHAT_RATE_LIMIT messages in any CHAT_RATE_WINDOW_MS, as the server enforces
+const CHAT_RATE_LIMIT = 3;
+const CHAT_RATE_WINDOW_MS = 5000;
+const EMOTE_COOLDOWN_MS = 2000;
+const EMOTE_DISPLAY_MS = 3000;
+
+const EMOTES = [
+    { id: 'wave', glyph: '👋' },
+    { id: 'laugh', glyph: '😂' },
+    { id: 'wow', glyph: '😮' },
+    { id: 'angry', glyph: '😠' },
+    { id: 'sparkles', glyph: '✨' },
+    { id: 'gg', glyph: '🤝' },
+];
+
+/**
+ * Room chat log, shared by the lobby and game-over panels and cleared on
+ * changing rooms. Muting is local: a muted player's chat and emotes are
+ * hidden on this client only.
+ */
+const chat = {
+    messages: [],
+    muted: new Set(),
+    sentAt: [],
+    lastEmoteAt: 0,
+
+    reset() {
+        this.messages = [];
+        this.muted.clear();
+        this.sentAt = [];
+        this.lastEmoteAt = 0;
+        renderChat();
+    },
+
+    add(entry) {
+        this.messages.push(entry);
+        if (this.messages.length > CHAT_HISTORY_LIMIT) {
+            this.messages.splice(0, this.messages.length - CHAT_HISTORY_LIMIT);
+        }
+        renderChat();
+    },
+
+    // Sliding window; the server drops anything over the limit anyway
+    takeSendSlot(now) {
+        this.sentAt = this.sentAt.filter(sentAt => now - sentAt < CHAT_RATE_WINDOW_MS);
+        if (this.sentAt.length >= CHAT_RATE_LIMIT) {
+            return false;
+        }
+        this.sentAt.push(now);
+        return true;
+    },
+
+    toggleMute(playerId) {
+        if (this.muted.has(playerId)) {
+            this.muted.delete(playerId);
+        } else {
+            this.muted.add(playerId);
+        }
+        renderChat();
+        if (state.roomState && state.roomState.phase === 'waiting_for_players') {
+            renderLobby();
+        }
+    },
+};
+
+function getChatPanels() {
+    return [
+        { log: elements.lobbyChatLog, form: elements.lobbyChatForm, input: elements.lobbyChatInput },
+        { log: elements.gameoverChatLog, form: elements.gameoverChatForm, input: elements.gameoverChatInput },
+    ];
+}
+
+function renderChat() {
+    const html = chat.messages
+        .filter(entry => entry.system || !chat.muted.has(entry.player_id))
+        .map(formatChatLine)
+        .join('');
+
+    for (const panel of getChatPanels()) {
+        // Stay pinned to the newest message unless the reader has scrolled up
+        const log = panel.log;
+        const pinned = log.scrollHeight - log.scrollTop - log.clientHeight < 20;
+        log.innerHTML = html;
+        if (pinned) {
+            log.scrollTop = log.scrollHeight;
+        }
+        // Replays have nobody to talk to
+        panel.form.classList.toggle('hidden', Boolean(state.replay));
+    }
+}
+
+function formatChatLine(entry) {
+    if (entry.system) {
+        return `<div class="chat-line system">${escapeHtml(entry.text)}</div>`;
+    }
+    const isSelf = entry.player_id === state.playerId;
+    return `
+        <div class="chat-line ${isSelf ? 'self' : ''}">
+            <span class="chat-author">${escapeHtml(entry.player_name)}</span>
+            ${isSelf ? '' : formatMuteButton(entry.player_id, entry.player_name)}
+            <span class="chat-text">${escapeHtml(entry.text)}</span>
+        </div>
+    `;
+}
+
+function formatMuteButton(playerId, playerName) {
+    const muted = chat.muted.has(playerId);
+    const label = t(muted ? 'chat.unmute' : 'chat.mute', { name: playerName });
+    return `
+        <button type="button" class="mute-btn ${muted ? 'muted' : ''}" data-player-id="${escapeHtml(playerId)}"
+                title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}" aria-pressed="${muted}">${muted ? '🔇' : '🔈'}</button>
+    `;
+}
+
+function handleChat(msg) {
+    if (typeof msg.text !== 'string' || !msg.player_id) {
+        return;
+    }
+    chat.add({
+        player_id: msg.player_id,
+        player_name: msg.player_name || t('common.unknown'),
+        text: msg.text.slice(0, CHAT_MAX_LENGTH),
+    });
+}
+
+function sendChat(input) {
+    const text = input.value.trim().slice(0, CHAT_MAX_LENGTH);
+    if (!text) {
+        return;
+    }
+    if (!chat.takeSendSlot(Date.now())) {
+        chat.add({ system: true, text: t('chat.too_fast') });
+        return;
+    }
+    send({ type: 'chat', text });
+    input.value = '';
+}
+
+function renderEmoteBar() {
+    // Only seated players react; spectators and replays just watch
+    elements.emoteBar.classList.toggle('hidden', state.isSpectator);
+    if (state.isSpectator) {
+        return;
+    }
+    const coolingDown = Date.now() - chat.lastEmoteAt < EMOTE_COOLDOWN_MS;
+    elements.emoteBar.setAttribute('aria-label', t('emotes.bar'));
+    elements.emoteBar.innerHTML = EMOTES.map(emote => `
+        <button type="button" class="emote-btn" data-emote="${emote.id}"
+                title="${escapeHtml(t(`emotes.${emote.id}`))}" aria-label="${escapeHtml(t(`emotes.${emote.id}`))}"
+                ${coolingDown ? 'disabled' : ''}>${emote.glyph}</button>
+    `).join('');
+}
+
+function sendEmote(emoteId) {
+    const now = Date.now();
+    if (now - chat.lastEmoteAt < EMOTE_COOLDOWN_MS) {
+        return;
+    }
+    chat.lastEmoteAt = now;
+    send({ type: 'emote', emote: emoteId });
+
+    elements.emoteBar.querySelectorAll('.emote-btn').forEach(btn => {
+        btn.disabled = true;
+    });
+    setTimeout(() => {
+        elements.emoteBar.querySelectorAll('.emote-btn').forEach(btn => {
+            btn.disabled = false;
+        });
+    }, EMOTE_COOLDOWN_MS);
+}
+
+function handleEmote(msg) {
+    const emote = EMOTES.find(e => e.id === msg.emote);
+    if (!emote || chat.muted.has(msg.player_id)) {
+        return;
+    }
+    const bubble = document.createElement('div');
+    bubble.className = 'emote-bubble';
+    bubble.innerHTML = `
+        <span class="emote-glyph" aria-hidden="true">${emote.glyph}</span>
+        <span class="emote-author">${escapeHtml(msg.player_name || t('common.unknown'))}</span>
+        <span class="sr-only">${escapeHtml(t(`emotes.${emote.id}`))}</span>
+    `;
+    elements.emoteFeed.appendChild(bubble);
+    setTimeout(() => bubble.remove(), EMOTE_DISPLAY_MS);
+}
+
+for (const panel of getChatPanels()) {
+    panel.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendChat(panel.input);
+    });
+    panel.log.addEventListener('click', (e) => {
+        const btn = e.target.closest('.mute-btn');
+        if (btn) {
+            chat.toggleMute(btn.dataset.playerId);
+        }
+    });
+}
+
+elements.lobbyPlayers.addEventListener('click', (e) => {
+    const btn = e.target.closest('.mute-btn');
+    if (btn) {
+        chat.toggleMute(btn.dataset.playerId);
+    }
+});
+
+elements.emoteBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('.emote-btn');
+    if (btn && !btn.disabled) {
+        sendEmote(btn.dataset.emote);
+    }
+});
+
+// ============================================
+// Match Recording
+// ============================================
+
+const REPLAY_FORMAT = 'typomancers-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * Records the server message stream of each match with receipt times.
+ * A recording starts with the first game_update after joining (or after
+ * the previous match ended) and is closed by the game_over update.
+ */
+const matchRecorder = {
+    current: null,
+    lastJoin: null,
+
+    record(msg, receivedAt) {
+        // Keep-alive traffic says nothing about the match
+        if (msg.type === 'pong') {
+            return;
+        }
+
+        if (msg.type === 'joined_room') {
+            this.lastJoin = msg;
+        }
+
+        if (msg.type === 'game_update' && (!this.current || this.current.finished) && !this.repeatsFinished(msg)) {
+            this.begin(msg, receivedAt);
+        }
+
+        const recording = this.current;
+        if (!recording || recording.finished) {
+            return;
+        }
+
+        recording.messages.push({ t: receivedAt - recording.startedAt, message: msg });
+
+        if (msg.type === 'game_update' && msg.game_state.phase === 'game_over') {
+            recording.finished = true;
+        }
+    },
+
+    // A rejoin can resend the game_over we already have; that's no new match
+    repeatsFinished(msg) {
+        const recording = this.current;
+        if (!recording || !recording.finished || msg.game_state.phase !== 'game_over') {
+            return false;
+        }
+        const last = recording.messages[recording.messages.length - 1].message;
+        const roomId = this.lastJoin ? this.lastJoin.room_id : msg.game_state.room_id;
+        return roomId === recording.room_id && last.game_state.turn_number === msg.game_state.turn_number;
+    },
+
+    begin(msg, receivedAt) {
+        const join = this.lastJoin;
+        this.current = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recorded_at: new Date(receivedAt).toISOString(),
+            room_id: join ? join.room_id : msg.game_state.room_id,
+            player_id: join ? join.player_id : null,
+            is_spectator: Boolean(join && join.is_spectator),
+            room_state: join ? join.room_state : null,
+            startedAt: receivedAt,
+            finished: false,
+            messages: [],
+        };
+    },
+
+    toJSON() {
+        const { startedAt, finished, ...recording } = this.current;
+        return recording;
+    },
+
+    download() {
+        if (!this.current) {
+            return;
+        }
+        const stamp = this.current.recorded_at.slice(0, 19).replace(/[:T]/g, '-');
+        downloadFile(`typomancers-${this.current.room_id}-${stamp}.json`, JSON.stringify(this.toJSON()), 'application/json');
+    },
+};
+
+// ============================================
+// Replay Viewer
+// ============================================
+
+const REPLAY_TICK_MS = 100;
+
+/**
+ * Check a parsed replay file and return its messages, or throw with a
+ * message suitable for showError().
+ */
+function parseReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+        throw new Error(t('replay.not_a_replay'));
+    }
+    if (data.version > REPLAY_VERSION) {
+        throw new Error(t('replay.newer_version'));
+    }
+    const messages = (data.messages || []).filter(entry => entry && entry.message && typeof entry.t === 'number');
+    if (!messages.some(entry => entry.message.type === 'game_update')) {
+        throw new Error(t('replay.no_updates'));
+    }
+    return messages;
+}
+
+/**
+ * Play a recorded match back through the normal render functions. The
+ * viewer is seated as a spectator so none of the player controls render.
+ */
+function startReplay(data) {
+    const messages = parseReplay(data);
+
+    if (state.ws) {
+        state.ws.close();
+        state.ws = null;
+    }
+    stopTimer();
+
+    playerColors.reset();
+    state.playerId = data.player_id || 'replay-viewer';
+    state.roomId = data.room_id;
+    state.roomState = data.room_state;
+    state.gameState = null;
+    state.phaseDeadline = null;
+    state.isSpectator = true;
+    state.replay = {
+        messages,
+        duration: messages[messages.length - 1].t,
+        position: 0,
+        frameIndex: -1,
+        playing: false,
+        interval: null,
+    };
+    chat.reset();
+
+    elements.replayScrubber.max = state.replay.duration;
+    elements.replayControls.classList.remove('hidden');
+    seekReplay(0);
+    playReplay();
+}
+
+function stopReplay() {
+    const replay = state.replay;
+    if (!replay) {
+        return;
+    }
+    pauseReplay();
+    stopTimer();
+
+    state.replay = null;
+    state.isSpectator = false;
+    state.playerId = null;
+    state.roomId = null;
+    state.roomState = null;
+    state.gameState = null;
+    chat.reset();
+
+    elements.replayControls.classList.add('hidden');
+    showScreen('landing-screen');
+}
+
+function playReplay() {
+    const replay = state.replay;
+    if (replay.playing) {
+        return;
+    }
+    // Restart from the beginning if playback already reached the end
+    if (replay.position >= replay.duration) {
+        seekReplay(0);
+    }
+    replay.playing = true;
+    replay.interval = setInterval(() => {
+        seekReplay(replay.position + REPLAY_TICK_MS);
+        if (replay.position >= replay.duration) {
+            pauseReplay();
+        }
+    }, REPLAY_TICK_MS);
+    updateReplayControls();
+}
+
+function pauseReplay() {
+    const replay = state.replay;
+    replay.playing = false;
+    if (replay.interval) {
+        clearInterval(replay.interval);
+        replay.interval = null;
+    }
+    updateReplayControls();
+}
+
+/**
+ * Move playback to a point in time. Every game_update carries the full
+ * game state, so the frame to show is simply the latest update at or
+ * before that point.
+ */
+function seekReplay(position) {
+    const replay = state.replay;
+    replay.position = Math.max(0, Math.min(position, replay.duration));
+
+    let frameIndex = -1;
+    for (let i = 0; i < replay.messages.length && replay.messages[i].t <= replay.position; i++) {
+        const type = replay.messages[i].message.type;
+        if (type === 'game_update' || type === 'room_update') {
+            frameIndex = i;
+        }
+    }
+
+    const typingProgress = getReplayTypingProgress();
+    state.typingProgress = typingProgress;
+    if (frameIndex !== replay.frameIndex) {
+        replay.frameIndex = frameIndex;
+        renderReplayFrame();
+    }
+    for (const [playerId, progress] of Object.entries(typingProgress)) {
+        setTypingProgress(playerId, progress);
+    }
+
+    // The chat log as it stood at this point
+    const chatEntries = replay.messages.filter(entry => entry.t <= replay.position && entry.message.type === 'chat');
+    if (Math.min(chatEntries.length, CHAT_HISTORY_LIMIT) !== chat.messages.length) {
+        chat.messages = [];
+        chatEntries.forEach(entry => handleChat(entry.message));
+    }
+    updateReplayTimer();
+    updateReplayControls();
+}
+
+function renderReplayFrame() {
+    const replay = state.replay;
+    const entry = replay.messages[replay.frameIndex];
+    if (!entry) {
+        return;
+    }
+    const msg = entry.message;
+    state.resolutionView = null;
+
+    if (msg.type === 'room_update') {
+        state.roomState = msg.room_state;
+        if (state.roomState.phase === 'waiting_for_players') {
+            showLobby();
+        }
+        return;
+    }
+
+    state.gameState = msg.game_state;
+    if (state.gameState.phase === 'game_over') {
+        // Seeking can jump straight here, so replay the turns up to this point
+        matchTimeline.rebuild(replay.messages
+            .slice(0, replay.frameIndex + 1)
+            .filter(item => item.message.type === 'game_update')
+            .map(item => item.message.game_state));
+        showGameOver();
+    } else {
+        showScreen('game-screen');
+        renderGame();
+    }
+}
+
+/**
+ * Typing progress as it stood at the playback position: the latest
+ * typing_progress per player since the typing phase began.
+ */
+function getReplayTypingProgress() {
+    const replay = state.replay;
+    const progress = {};
+    let index = replay.messages.findIndex(entry => entry.t > replay.position);
+    if (index === -1) {
+        index = replay.messages.length;
+    }
+    while (--index >= 0) {
+        const msg = replay.messages[index].message;
+        if (msg.type === 'game_update' && msg.game_state.phase !== 'typing') {
+            break;
+        }
+        if (msg.type === 'typing_progress' && !progress[msg.player_id]) {
+            progress[msg.player_id] = readTypingProgress(msg);
+        }
+    }
+    return progress;
+}
+
+/**
+ * Phase countdown as it stood at this point of the recording.
+ */
+function updateReplayTimer() {
+    const replay = state.replay;
+    const entry = replay.messages[replay.frameIndex];
+    const game = entry && entry.message.game_state;
+    if (!game || typeof game.phase_time_remaining_ms !== 'number') {
+        return;
+    }
+    const remaining = Math.max(0, game.phase_time_remaining_ms - (replay.position - entry.t));
+    const seconds = Math.ceil(remaining / 1000);
+    elements.timerDisplay.textContent = game.phase === 'resolution'
+        ? t('resolution.next_turn', { seconds })
+        : t('common.seconds', { seconds });
+}
+
+/**
+ * Times at which each turn starts, in playback order.
+ */
+function getReplayTurnStarts() {
+    const starts = [];
+    let lastTurn = null;
+    for (const entry of state.replay.messages) {
+        const game = entry.message.type === 'game_update' ? entry.message.game_state : null;
+        if (game && game.turn_number !== lastTurn) {
+            starts.push(entry.t);
+            lastTurn = game.turn_number;
+        }
+    }
+    return starts;
+}
+
+function stepReplayTurn(direction) {
+    const replay = state.replay;
+    const starts = getReplayTurnStarts();
+    let target;
+    if (direction > 0) {
+        target = starts.find(t => t > replay.position);
+        if (target === undefined) {
+            target = replay.duration;
+        }
+    } else {
+        // Back to the start of this turn, or the previous one if we're already there
+        const earlier = starts.filter(t => t < replay.position - REPLAY_TICK_MS);
+        target = earlier.length > 0 ? earlier[earlier.length - 1] : 0;
+    }
+    seekReplay(target);
+}
+
+function updateReplayControls() {
+    const replay = state.replay;
+    elements.replayPlayBtn.textContent = replay.playing ? t('replay.pause') : t('replay.play');
+    elements.replayScrubber.value = replay.position;
+    elements.replayTime.textContent = `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+}
+
+function formatReplayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+elements.replayFileInput.addEventListener('change', async () => {
+    const file = elements.replayFileInput.files[0];
+    elements.replayFileInput.value = '';
+    if (!file) {
+        return;
+    }
+
+    try {
+        hideError();
+        startReplay(JSON.parse(await file.text()));
+    } catch (err) {
+        showError(err instanceof SyntaxError ? t('replay.invalid_json') : err.message);
+    }
+});
 
-        // Build stun indicator if caster was stunned
-        const stunIndicator = effect.stun_count && effect.stun_count > 0
-            ? `<span class="stun-indicator">⚡ Stunned ${effect.stun_count}x (-${effect.stun_count * 33}% effectiveness)</span>`
-            : '';
+elements.replayPlayBtn.addEventListener('click', () => {
+    if (state.replay.playing) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+});
 
-        // Create effect card container
-        const effectCard = document.createElement('div');
-        effectCard.className = `resolution-card ${isSelf ? 'self-effect' : ''}`;
+elements.replayScrubber.addEventListener('input', () => {
+    seekReplay(Number(elements.replayScrubber.value));
+});
 
-        // Build the card HTML
-        let cardHTML = `
-            <div class="resolution-row">
-                <div class="resolution-caster fade-element" style="animation-delay: ${baseDelay}ms">
-                    <img src="${casterSprite}" alt="${escapeHtml(effect.caster_name)}" class="caster-image">
-                    <div class="caster-name">${escapeHtml(effect.caster_name)}</div>
-                    ${stunIndicator}
-                </div>
+elements.replayPrevTurnBtn.addEventListener('click', () => stepReplayTurn(-1));
+elements.replayNextTurnBtn.addEventListener('click', () => stepReplayTurn(1));
+elements.replayExitBtn.addEventListener('click', stopReplay);
 
-                <div class="resolution-spell fade-element" style="animation-delay: ${baseDelay + casterDelay}ms">
-                    <img src="${spellImage}" alt="${escapeHtml(effect.spell_name)}" class="spell-image">
-                    <div class="spell-info">
-                        <div class="spell-name">${escapeHtml(effect.spell_name)}</div>
-                        <div class="spell-accuracy">${effect.accuracy_percent.toFixed(1)}% accuracy</div>
-                    </div>
-                </div>
+// ============================================
+// Match History
+// ============================================
 
-                <div class="resolution-targets fade-element" style="animation-delay: ${baseDelay + spellDelay}ms">
-        `;
+const HISTORY_DB_NAME = 'typomancers';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'matches';
+const HISTORY_FORMAT = 'typomancers-history';
+const HISTORY_EXPORT_VERSION = 1;
+const HISTORY_CHART_LIMIT = 50; // Most recent matches plotted
+const HISTORY_CHART_WIDTH = 480;
+const HISTORY_CHART_HEIGHT = 160;
+const HISTORY_CHART_PADDING = 24;
+const HISTORY_CSV_COLUMNS = [
+    'finished_at', 'room_id', 'server', 'player_name', 'result', 'winner_name', 'turns',
+    'avg_wpm', 'max_wpm', 'avg_accuracy', 'damage_dealt', 'damage_received', 'healing',
+    'top_spell', 'top_spell_count', 'roster',
+];
 
-        // Add all targets
-        effect.targets.forEach(target => {
-            const targetIndex = getPlayerIndex(target.target_id);
-            const targetSprite = getPlayerSprite(targetIndex, 'idle');
-
-            let effectText = '';
-            let effectClass = '';
-
-            if (target.damage_dealt !== undefined && target.damage_dealt !== null) {
-                effectText = `-${target.damage_dealt} HP`;
-                effectClass = 'damage';
-                if (target.was_killed) {
-                    effectText = 'DEFEATED!';
-                    effectClass += ' kill';
+/**
+ * Finished matches kept in IndexedDB: the roster, the winner and our own
+ * player_stats line, so they outlive Play Again and page reloads.
+ */
+const matchHistory = {
+    dbPromise: null,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error(t('history.unavailable')));
+                    return;
                 }
-            } else if (target.healing_received !== undefined && target.healing_received !== null) {
-                effectText = `+${target.healing_received} HP`;
-                effectClass = 'healing';
-            } else if (target.shield_effectiveness !== undefined && target.shield_effectiveness !== null) {
-                effectText = `${target.shield_effectiveness.toFixed(1)}% shield`;
-                effectClass = 'shield';
-            }
+                const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('finished_at', 'finished_at');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call try again rather than caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    },
 
-            cardHTML += `
-                <div class="target-item">
-                    <img src="${targetSprite}" alt="${escapeHtml(target.target_name)}" class="target-image">
-                    <div class="target-info">
-                        <div class="target-name">${escapeHtml(target.target_name)}</div>
-                        <div class="target-effect ${effectClass}">${effectText}</div>
-                        <div class="target-hp">${target.hp_after} HP</div>
-                    </div>
-                </div>
-            `;
+    // One request in its own transaction, settled once the transaction is
+    // committed (or fails), so a resolved add is really on disk
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
+    },
 
-        cardHTML += `
-                </div>
-            </div>
-        `;
+    add(match) {
+        return this.run('readwrite', store => store.add(match));
+    },
 
-        effectCard.innerHTML = cardHTML;
-        elements.resolutionResults.appendChild(effectCard);
-    });
+    // Oldest first
+    list() {
+        return this.run('readonly', store => store.index('finished_at').getAll());
+    },
+};
 
-    // Add accuracy penalty card if present
-    if (resolution.accuracy_penalty) {
-        const penalty = resolution.accuracy_penalty;
-        const penaltyPlayerIndex = getPlayerIndex(penalty.player_id);
-        const penaltySprite = getPlayerSprite(penaltyPlayerIndex, 'idle');
-        const isSelf = penalty.player_id === state.playerId;
+function buildHistoryEntry(game) {
+    const self = game.players.find(p => p.id === state.playerId);
+    const winner = game.players.find(p => p.id === game.winner);
+    const stats = (game.player_stats || []).find(s => s.player_id === state.playerId);
 
-        // Calculate delay to appear after all spell effects
-        const penaltyDelay = resolution.effects.length * effectDuration;
+    let result = 'lost';
+    if (!game.winner) {
+        result = 'draw';
+    } else if (game.winner === state.playerId) {
+        result = 'won';
+    }
 
-        const penaltyCard = document.createElement('div');
-        penaltyCard.className = `resolution-card penalty-card ${isSelf ? 'self-effect' : ''}`;
+    return {
+        finished_at: new Date().toISOString(),
+        room_id: state.roomId,
+        server: state.serverUrl,
+        player_name: self.name,
+        result,
+        winner_name: winner ? winner.name : null,
+        turns: game.turn_number,
+        roster: game.players.map(p => ({ name: p.name, final_hp: p.hp, is_self: p.id === state.playerId })),
+        stats: stats ? {
+            avg_wpm: stats.avg_wpm,
+            max_wpm: stats.max_wpm,
+            avg_accuracy: stats.avg_accuracy,
+            damage_dealt: stats.total_damage_dealt,
+            damage_received: stats.total_damage_received,
+            healing: stats.total_healing,
+            top_spell: stats.top_spell,
+            top_spell_count: stats.top_spell_count,
+        } : null,
+    };
+}
 
-        let penaltyEffectText = `-${penalty.damage} HP`;
-        let penaltyEffectClass = 'damage';
-        if (penalty.was_killed) {
-            penaltyEffectText = 'DEFEATED!';
-            penaltyEffectClass += ' kill';
-        }
+// Recordings already in the history, so repeated game_over updates save once
+const savedRecordings = new WeakSet();
 
-        penaltyCard.innerHTML = `
-            <div class="resolution-row fade-element" style="animation-delay: ${penaltyDelay}ms">
-                <div class="resolution-caster">
-                    <img src="${penaltySprite}" alt="${escapeHtml(penalty.player_name)}" class="caster-image">
-                    <div class="caster-name">${escapeHtml(penalty.player_name)}</div>
-                </div>
+// Only matches we played in; watching and replays have no stats of ours
+function saveFinishedMatch(game) {
+    const recording = matchRecorder.current;
+    if (state.isSpectator || state.replay || !recording || savedRecordings.has(recording)
+        || !game.players.some(p => p.id === state.playerId)) {
+        return;
+    }
+    savedRecordings.add(recording);
+    matchHistory.add(buildHistoryEntry(game)).catch(err => {
+        console.warn(`Failed to save match history: ${err.message}`);
+    });
+}
 
-                <div class="resolution-spell penalty-indicator">
-                    <div class="penalty-icon">📉</div>
-                    <div class="spell-info">
-                        <div class="spell-name penalty-title">Lowest Accuracy Penalty</div>
-                        <div class="spell-accuracy">${penalty.accuracy_percent.toFixed(1)}% accuracy</div>
-                    </div>
-                </div>
+let historyReturnScreen = 'landing-screen';
+let historyMatches = [];
 
-                <div class="resolution-targets">
-                    <div class="target-item">
-                        <img src="${penaltySprite}" alt="${escapeHtml(penalty.player_name)}" class="target-image">
-                        <div class="target-info">
-                            <div class="target-name">${escapeHtml(penalty.player_name)}</div>
-                            <div class="target-effect ${penaltyEffectClass}">${penaltyEffectText}</div>
-                            <div class="target-hp">${penalty.hp_after} HP</div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+async function showHistory() {
+    const current = document.querySelector('.screen.active');
+    historyReturnScreen = current ? current.id : 'landing-screen';
+    showScreen('history-screen');
 
-        elements.resolutionResults.appendChild(penaltyCard);
+    elements.historySummary.textContent = t('history.loading');
+    try {
+        historyMatches = await matchHistory.list();
+    } catch (err) {
+        historyMatches = [];
+        renderHistory();
+        elements.historySummary.textContent = err.message;
+        return;
     }
+    renderHistory();
 }
 
-// ============================================
-// Game Over Screen
-// ============================================
-
-function showGameOver() {
-    showScreen('gameover-screen');
+function renderHistory() {
+    const matches = historyMatches;
+    const withStats = matches.filter(m => m.stats);
+    const hasMatches = matches.length > 0;
 
-    const game = state.gameState;
-    const winner = game.players.find(p => p.id === game.winner);
+    elements.historyCharts.classList.toggle('hidden', withStats.length === 0);
+    elements.historyExportJsonBtn.disabled = !hasMatches;
+    elements.historyExportCsvBtn.disabled = !hasMatches;
 
-    if (winner) {
-        elements.winnerName.textContent = winner.name;
-    } else {
-        elements.winnerName.textContent = 'No one (draw?)';
+    if (!hasMatches) {
+        elements.historySummary.textContent = t('history.empty');
+        elements.historyList.innerHTML = '';
+        return;
     }
 
-    // Show player statistics
-    if (game.player_stats && game.player_stats.length > 0) {
-        let statsHtml = '<h3>Player Statistics</h3><div class="stats-grid">';
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const wpms = withStats.map(m => m.stats.avg_wpm);
+    const accuracies = withStats.map(m => m.stats.avg_accuracy);
+    elements.historySummary.textContent = t('history.summary', {
+        count: matches.length,
+        wins: matches.filter(m => m.result === 'won').length,
+        avg_wpm: withStats.length > 0 ? i18n.formatDecimal(average(wpms)) : '-',
+        best_wpm: withStats.length > 0 ? i18n.formatDecimal(Math.max(...withStats.map(m => m.stats.max_wpm))) : '-',
+        accuracy: withStats.length > 0 ? i18n.formatPercent(average(accuracies), 1) : '-',
+    });
 
-        for (const stats of game.player_stats) {
-            const playerIndex = getPlayerIndex(stats.player_id);
-            const isWinner = stats.player_id === game.winner;
-            const spriteUrl = getPlayerSprite(playerIndex, 'idle', !isWinner);
-            const isSelf = stats.player_id === state.playerId;
+    const recent = withStats.slice(-HISTORY_CHART_LIMIT);
+    elements.historyWpmChart.innerHTML = renderTrendChart(recent, m => m.stats.avg_wpm, {
+        max: Math.max(...recent.map(m => m.stats.avg_wpm), 1),
+        format: value => i18n.formatDecimal(value),
+        label: t('history.wpm_trend'),
+    });
+    elements.historyAccuracyChart.innerHTML = renderTrendChart(recent, m => m.stats.avg_accuracy, {
+        max: 1,
+        format: value => i18n.formatPercent(value, 1),
+        label: t('history.accuracy_trend'),
+    });
 
-            statsHtml += `
-                <div class="player-stat-card ${isSelf ? 'self' : ''}">
-                    <div class="stat-header">
-                        <img src="${spriteUrl}" alt="${escapeHtml(stats.player_name)}" class="stat-sprite">
-                        <div class="stat-player-name">${escapeHtml(stats.player_name)}</div>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Avg WPM:</span>
-                        <span class="stat-value">${stats.avg_wpm.toFixed(1)}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Max WPM:</span>
-                        <span class="stat-value">${stats.max_wpm.toFixed(1)}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Avg Accuracy:</span>
-                        <span class="stat-value">${(stats.avg_accuracy * 100).toFixed(1)}%</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Damage Dealt:</span>
-                        <span class="stat-value damage">${stats.total_damage_dealt}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Damage Taken:</span>
-                        <span class="stat-value damage">${stats.total_damage_received}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Healing:</span>
-                        <span class="stat-value heal">${stats.total_healing}</span>
-                    </div>
-                    <div class="stat-row">
-                        <span class="stat-label">Top Spell:</span>
-                        <span class="stat-value">${escapeHtml(stats.top_spell)} (${stats.top_spell_count}x)</span>
-                    </div>
-                </div>
-            `;
+    // Newest first in the table
+    elements.historyList.innerHTML = [...matches].reverse().map(match => {
+        const opponents = match.roster.filter(p => !p.is_self).map(p => p.name);
+        return `
+            <tr class="history-row result-${escapeHtml(match.result)}">
+                <td>${escapeHtml(i18n.formatDateTime(new Date(match.finished_at)))}</td>
+                <td>${escapeHtml(match.room_id)}</td>
+                <td class="history-result">${t(`history.results.${match.result}`)}</td>
+                <td>${i18n.formatNumber(match.turns)}</td>
+                <td>${match.stats ? i18n.formatDecimal(match.stats.avg_wpm) : '-'}</td>
+                <td>${match.stats ? i18n.formatPercent(match.stats.avg_accuracy, 1) : '-'}</td>
+                <td>${escapeHtml(i18n.formatList(opponents))}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * A small SVG line chart of one value per match, oldest on the left.
+ * Each point carries a tooltip with the match date and value.
+ */
+function renderTrendChart(matches, getValue, { max, format, label }) {
+    const width = HISTORY_CHART_WIDTH;
+    const height = HISTORY_CHART_HEIGHT;
+    const pad = HISTORY_CHART_PADDING;
+    const step = matches.length > 1 ? (width - pad * 2) / (matches.length - 1) : 0;
+
+    const points = matches.map((match, index) => {
+        const value = getValue(match);
+        return {
+            x: matches.length > 1 ? pad + index * step : width / 2,
+            y: height - pad - (Math.min(value, max) / max) * (height - pad * 2),
+            tip: `${i18n.formatDateTime(new Date(match.finished_at))}: ${format(value)}`,
+        };
+    });
+    const line = points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+            <line class="trend-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"></line>
+            <text class="trend-label" x="${pad}" y="${pad - 8}">${escapeHtml(format(max))}</text>
+            <polyline class="trend-line" points="${line}"></polyline>
+            ${points.map(p => `
+                <circle class="trend-point" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="4"><title>${escapeHtml(p.tip)}</title></circle>
+            `).join('')}
+        </svg>
+    `;
+}
+
+function historyToCsv(matches) {
+    // Quote where needed, and defuse cells a spreadsheet would run as a formula
+    const field = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
         }
-        statsHtml += '</div>';
-        elements.playerStats.innerHTML = statsHtml;
-    } else {
-        elements.playerStats.innerHTML = '';
-    }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-    // Show final scores
-    let html = '';
-    for (const player of game.players) {
-        const isWinner = player.id === game.winner;
-        html += `
-            <div class="final-player ${isWinner ? 'winner' : ''}">
-                <div class="name">${escapeHtml(player.name)} ${isWinner ? '👑' : ''}</div>
-                <div class="hp">${player.hp} HP remaining</div>
-            </div>
-        `;
-    }
-    elements.finalScores.innerHTML = html;
+    const rows = matches.map(match => {
+        const stats = match.stats || {};
+        const row = {
+            ...match,
+            ...stats,
+            roster: match.roster.map(p => `${p.name} (${p.final_hp})`).join('; '),
+        };
+        return HISTORY_CSV_COLUMNS.map(column => field(row[column])).join(',');
+    });
+    return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n');
 }
 
-elements.playAgainBtn.addEventListener('click', () => {
-    send({ type: 'play_again' });
+function historyFileName(extension) {
+    return `typomancers-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+elements.historyBtn.addEventListener('click', () => {
+    showHistory();
+});
+
+elements.gameoverHistoryBtn.addEventListener('click', () => {
+    showHistory();
+});
+
+elements.historyBackBtn.addEventListener('click', () => {
+    showScreen(historyReturnScreen);
+});
+
+elements.historyExportJsonBtn.addEventListener('click', () => {
+    const data = {
+        format: HISTORY_FORMAT,
+        version: HISTORY_EXPORT_VERSION,
+        exported_at: new Date().toISOString(),
+        matches: historyMatches,
+    };
+    downloadFile(historyFileName('json'), JSON.stringify(data, null, 2), 'application/json');
+});
+
+elements.historyExportCsvBtn.addEventListener('click', () => {
+    downloadFile(historyFileName('csv'), historyToCsv(historyMatches), 'text/csv');
 });
 
 // ============================================
 // Utility
 // ============================================
 
-function showWaiting(message) {
+function showWaiting(message, detail = '') {
     elements.waitingOverlay.classList.remove('hidden');
     elements.waitingMessage.textContent = message;
+    elements.waitingDetail.textContent = detail;
+    elements.waitingDetail.classList.toggle('hidden', !detail);
 }
 
 function formatPhase(phase) {
-    const phases = {
-        'waiting_for_players': 'Waiting for Players',
-        'spell_selection': 'Spell Selection',
-        'target_selection': 'Target Selection',
-        'typing': 'Cast Your Spell!',
-        'resolution': 'Spell Resolution',
-        'game_over': 'Game Over',
-    };
-    return phases[phase] || phase;
+    return i18n.has(`phases.${phase}`) ? t(`phases.${phase}`) : phase;
 }
 
 function escapeHtml(text) {
@@ -1521,89 +5229,314 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Save generated text (a replay, an export) through a temporary link
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================
+// Player Colors
+// ============================================
+
+// Base sprite colors, in the order slots 0-5 receive them
+const SPRITE_COLORS = ['green', 'white', 'red', 'blue', 'purple', 'yellow'];
+// Beyond six players, colored sprites are reused with their hue shifted
+const TINTABLE_SPRITE_COLORS = ['green', 'red', 'blue', 'purple', 'yellow'];
+const SPRITE_TINT_HUES = [35, -35, 70, -70, 105];
+// Chart and legend color of each base sprite, as [r, g, b]
+const SPRITE_RGB = {
+    green: [79, 138, 60],
+    white: [138, 138, 138],
+    red: [192, 57, 43],
+    blue: [46, 111, 181],
+    purple: [125, 79, 176],
+    yellow: [201, 162, 39],
+};
+
+/**
+ * Color slots keyed by player id. A slot is taken from the server when it
+ * sends one, otherwise from a hash of the id. Once assigned it never
+ * changes for the rest of the room, so colors don't shuffle when someone
+ * leaves.
+ */
+const playerColors = {
+    slots: new Map(),
+    tinted: new Map(),
+
+    reset() {
+        this.slots.clear();
+    },
+
+    slotFor(playerId) {
+        if (!this.slots.has(playerId)) {
+            // Assign in roster order, which every client shares, rather than
+            // in the order this client happens to render wizards
+            for (const player of getKnownPlayers()) {
+                if (!this.slots.has(player.id)) {
+                    this.assign(player.id, player);
+                }
+            }
+            if (!this.slots.has(playerId)) {
+                this.assign(playerId, null);
+            }
+        }
+        return this.slots.get(playerId);
+    },
+
+    assign(playerId, player) {
+        // The server's slot wins when it sends one
+        if (player && typeof player.slot === 'number') {
+            this.slots.set(playerId, player.slot);
+            return;
+        }
+
+        // Probe the base colors from the hashed one, skipping any held by a
+        // wizard still in the room; a departed wizard's slot may be reused
+        const taken = new Set([...this.slots]
+            .filter(([id]) => findKnownPlayer(id))
+            .map(([, used]) => used));
+        const baseCount = SPRITE_COLORS.length;
+        const start = hashString(String(playerId)) % baseCount;
+        for (let i = 0; i < baseCount; i++) {
+            const slot = (start + i) % baseCount;
+            if (!taken.has(slot)) {
+                this.slots.set(playerId, slot);
+                return;
+            }
+        }
+
+        // Tinted slots only once all base colors are taken
+        let slot = baseCount;
+        while (taken.has(slot)) {
+            slot++;
+        }
+        this.slots.set(playerId, slot);
+    },
+
+    // Which base sprite a slot is drawn from, and how far its hue is turned
+    spriteTint(slot) {
+        if (slot < SPRITE_COLORS.length) {
+            return { color: SPRITE_COLORS[slot], hue: 0 };
+        }
+        const extra = slot - SPRITE_COLORS.length;
+        return {
+            color: TINTABLE_SPRITE_COLORS[extra % TINTABLE_SPRITE_COLORS.length],
+            hue: SPRITE_TINT_HUES[Math.floor(extra / TINTABLE_SPRITE_COLORS.length) % SPRITE_TINT_HUES.length],
+        };
+    },
+
+    /**
+     * A CSS color for a slot, shifted by the same hue as its tinted
+     * sprite, so charts and legends tell every wizard apart.
+     */
+    cssColor(slot) {
+        const { color, hue } = this.spriteTint(slot);
+        const rgb = Uint8ClampedArray.of(...SPRITE_RGB[color], 255);
+        hueRotatePixels(rgb, hue);
+        return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+    },
+};
+
+// The current roster, in the server's order
+function getKnownPlayers() {
+    if (state.gameState) {
+        return state.gameState.players;
+    }
+    return state.roomState ? state.roomState.players : [];
+}
+
 /**
- * Get the sprite color for a player based on their index.
- * Player 1 = green, Player 2 = white, Player 3 = red,
- * Player 4 = blue, Player 5 = purple, Player 6 = yellow
+ * Look a player up in the game state, falling back to the room state.
  */
-function getPlayerSpriteColor(playerIndex) {
-    const colors = ['green', 'white', 'red', 'blue', 'purple', 'yellow'];
-    return colors[playerIndex] || 'green';
+function findKnownPlayer(playerId) {
+    const inGame = state.gameState && state.gameState.players.find(p => p.id === playerId);
+    if (inGame) {
+        return inGame;
+    }
+    return state.roomState ? state.roomState.players.find(p => p.id === playerId) : null;
+}
+
+function getPlayerSlot(playerId) {
+    return playerColors.slotFor(playerId);
 }
 
 /**
  * Get the sprite path for a player.
- * @param {number} playerIndex - Player index (0-5)
+ * @param {number} slot - Player color slot (see getPlayerSlot)
  * @param {string} type - 'idle' or 'attack'
  * @param {boolean} isDead - Whether the player is dead (uses ghost sprite)
  */
-function getPlayerSprite(playerIndex, type = 'idle', isDead = false) {
+function getPlayerSprite(slot, type = 'idle', isDead = false) {
     if (isDead) {
         return 'assets/ghost_player.png';
     }
-    const color = getPlayerSpriteColor(playerIndex);
-    return `assets/${color}_${type}.png`;
+    if (slot < SPRITE_COLORS.length) {
+        return `assets/${SPRITE_COLORS[slot]}_${type}.png`;
+    }
+    return getTintedSprite(slot, type);
 }
 
 /**
- * Get player index by ID from the current game state.
- * Returns the player's position in the players array (0, 1, or 2).
+ * Hue-shifted copy of a base sprite for slots past the six base colors,
+ * rendered once to a data URL. Falls back to the untinted sprite while the
+ * base image is still loading, or if the canvas can't be read (file://).
  */
-function getPlayerIndex(playerId) {
-    if (!state.gameState && !state.roomState) return 0;
-
-    // Try game state first
-    if (state.gameState) {
-        const index = state.gameState.players.findIndex(p => p.id === playerId);
-        if (index !== -1) return index;
+function getTintedSprite(slot, type) {
+    const key = `${slot}_${type}`;
+    if (playerColors.tinted.has(key)) {
+        return playerColors.tinted.get(key);
     }
 
-    // Fall back to room state
-    if (state.roomState) {
-        const index = state.roomState.players.findIndex(p => p.id === playerId);
-        if (index !== -1) return index;
+    const { color, hue } = playerColors.spriteTint(slot);
+    const basePath = `assets/${color}_${type}.png`;
+
+    const image = imagePreloader.images.find(img => img.src.endsWith(basePath));
+    if (!image || !image.complete || !image.naturalWidth) {
+        return basePath;
     }
 
-    return 0;
+    let url = basePath;
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        hueRotatePixels(pixels.data, hue);
+        ctx.putImageData(pixels, 0, 0);
+        url = canvas.toDataURL('image/png');
+    } catch (err) {
+        console.warn(`Could not tint sprite ${basePath}: ${err.message}`);
+    }
+    playerColors.tinted.set(key, url);
+    return url;
 }
 
 /**
- * Get spell card image path based on spell type.
+ * Rotate the hue of RGBA pixel data in place, using the same matrix as
+ * the CSS hue-rotate() filter.
  */
-function getSpellCardImage(spellType) {
-    const mapping = {
-        'attack': 'assets/spell_cards/card_img_light_attack.png',
-        'attack_all': 'assets/spell_cards/card_img_group_attack.png',
-        'heal': 'assets/spell_cards/card_img_healing.png',
-        'shield': 'assets/spell_cards/card_img_shield.png'
-    };
-    return mapping[spellType] || 'assets/spell_cards/card_img_light_attack.png';
+function hueRotatePixels(data, degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const m = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+    ];
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        data[i] = m[0] * r + m[1] * g + m[2] * b;
+        data[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+        data[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+    }
+}
+
+// FNV-1a, for spreading player ids across the palette
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
 }
 
+// ============================================
+// Keep-Alive Ping & Clock Sync
+// ============================================
+
+const CLOCK_SYNC_BURST = 5;
+const CLOCK_SYNC_BURST_INTERVAL_MS = 250;
+
 /**
- * Map spell names to their specific images.
+ * NTP-style estimate of the offset between the server clock and ours.
+ * Every pong echoes the client_time of its ping and carries the server's
+ * server_time; we keep the last few samples and trust the one with the
+ * shortest round trip, since it has the least room for asymmetric delay.
  */
-function getSpellImage(spellName, spellType) {
-    if (spellType === 'attack') {
-        if (spellName === 'Heartwood Wrath') {
-            return 'assets/spell_cards/card_img_heavy_attack.png';
+const clockSync = {
+    samples: [],
+    maxSamples: 8,
+    offsetMs: 0, // server clock minus local clock
+    rttMs: 0,
+
+    reset() {
+        this.samples = [];
+        this.offsetMs = 0;
+        this.rttMs = 0;
+    },
+
+    recordPong(msg, receivedAt) {
+        if (typeof msg.client_time !== 'number' || typeof msg.server_time !== 'number') {
+            return;
+        }
+        const rtt = receivedAt - msg.client_time;
+        if (rtt < 0) {
+            return;
         }
-        if (spellName === 'Faelight Dart') {
-            return 'assets/spell_cards/card_img_light_attack_2.png';
+
+        // Assume the server stamped its time halfway through the round trip
+        this.samples.push({ rtt, offset: msg.server_time - (msg.client_time + rtt / 2) });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
         }
-        // Default for Foxfire Shard and other attacks
-        return 'assets/spell_cards/card_img_light_attack.png';
+
+        const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.offsetMs = best.offset;
+        this.rttMs = best.rtt;
+    },
+
+    toLocalTime(serverTime) {
+        return serverTime - this.offsetMs;
+    },
+};
+
+/**
+ * Local-clock time at which the given phase ends, or null if unknown.
+ * Prefers the server's absolute phase_deadline_ms; otherwise takes
+ * phase_time_remaining_ms as measured when the server sent the update,
+ * which is one one-way latency before we received it.
+ */
+function computePhaseDeadline(game, receivedAt) {
+    if (typeof game.phase_deadline_ms === 'number') {
+        return clockSync.toLocalTime(game.phase_deadline_ms);
     }
-    return getSpellCardImage(spellType);
+    if (typeof game.phase_time_remaining_ms === 'number') {
+        return receivedAt + game.phase_time_remaining_ms - clockSync.rttMs / 2;
+    }
+    return null;
 }
 
-// ============================================
-// Keep-Alive Ping
-// ============================================
+function sendPing() {
+    send({ type: 'ping', client_time: Date.now() });
+}
+
+// A short burst of pings on every new connection gives a usable estimate
+// before the first countdown starts
+function startClockSync() {
+    clockSync.reset();
+    for (let i = 0; i < CLOCK_SYNC_BURST; i++) {
+        setTimeout(sendPing, i * CLOCK_SYNC_BURST_INTERVAL_MS);
+    }
+}
 
 setInterval(() => {
     if (state.ws && state.ws.readyState === WebSocket.OPEN) {
-        send({ type: 'ping' });
+        sendPing();
     }
 }, 30000);
 
@@ -1619,6 +5552,9 @@ setInterval(() => {
     const transitionDuration = 300; // matches CSS transition time
 
     function cycleBackground() {
+        // Holds on the current frame while reduced motion is on
+        if (motionSettings.reduced) return;
+
         const outgoingIndex = currentIndex;
         const incomingIndex = (currentIndex + 1) % layers.length;
 
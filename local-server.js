@@ -0,0 +1,1291 @@
+/**
+ * Typomancers Local Server
+ *
+ * An in-page stand-in for the game server, used for offline solo practice.
+ * It speaks the same JSON protocol as the real server over a WebSocket-like
+ * transport, so game.js renders it exactly as it would a remote room.
+ * Everything beyond the human player is played by bot wizards.
+ */
+
+// ============================================
+// Configuration
+// ============================================
+
+const LOCAL_SERVER_URL = 'local://practice';
+
+const LOCAL_MIN_PLAYERS = 2;
+const LOCAL_MAX_PLAYERS = 6;
+const LOCAL_BOT_COUNT = 2;
+const LOCAL_SPECTATE_START_DELAY_MS = 3000; // Bots-only rooms start on their own
+const LOCAL_SPECTATE_RESTART_DELAY_MS = 15000; // ...and go again after game over
+const LOCAL_STARTING_HP = 100;
+const LOCAL_DEFAULT_TIMER_SECONDS = 30;
+const LOCAL_SETTING_LIMITS = {
+    timer_seconds: { min: 10, max: 120 },
+    max_players: { min: LOCAL_MIN_PLAYERS, max: LOCAL_MAX_PLAYERS },
+    starting_hp: { min: 50, max: 300 },
+};
+const LOCAL_RESOLUTION_MS = 10000; // Reported to the client as resolution.duration_ms
+// Caster, spell and targets stages as fractions of each effect's slot
+const LOCAL_RESOLUTION_STAGES = { caster: 0, spell: 0.33, targets: 0.66 };
+const LOCAL_LATENCY_MS = 20;
+const LOCAL_ACCURACY_PENALTY_DAMAGE = 5;
+const LOCAL_MAX_SHIELD_PERCENT = 75;
+const LOCAL_ACCURACY_CURSE = 0.25; // Fraction of effectiveness removed
+const LOCAL_SPEED_CURSE_SECONDS = 3;
+const LOCAL_PROGRESS_INTERVAL_MS = 500; // How often bots report typing progress
+const LOCAL_CHAT_MAX_LENGTH = 200;
+const LOCAL_CHAT_RATE_LIMIT = 3; // Messages allowed per window; extras are dropped
+const LOCAL_CHAT_RATE_WINDOW_MS = 5000;
+const LOCAL_EMOTE_COOLDOWN_MS = 2000;
+const LOCAL_BOT_EMOTE_CHANCE = 0.3; // Per bot, per resolution
+const LOCAL_EMOTES = ['wave', 'laugh', 'wow', 'angry', 'sparkles', 'gg'];
+
+const LOCAL_BOT_NAMES = ['Bramblewick', 'Mossbeard', 'Thistledown', 'Emberquill', 'Fernwhistle'];
+
+const LOCAL_SPELLS = [
+    { id: 'foxfire_shard', name: 'Foxfire Shard', spell_type: 'attack', difficulty: 'easy', max_value: 15, max_targets: 1, targets_all: false },
+    { id: 'faelight_dart', name: 'Faelight Dart', spell_type: 'attack', difficulty: 'medium', max_value: 22, max_targets: 1, targets_all: false },
+    { id: 'heartwood_wrath', name: 'Heartwood Wrath', spell_type: 'attack', difficulty: 'hard', max_value: 30, max_targets: 1, targets_all: false },
+    { id: 'twin_wisps', name: 'Twin Wisps', spell_type: 'attack', difficulty: 'medium', max_value: 12, max_targets: 2, targets_all: false },
+    { id: 'bramble_storm', name: 'Bramble Storm', spell_type: 'attack_all', difficulty: 'hard', max_value: 14, max_targets: LOCAL_MAX_PLAYERS, targets_all: true },
+    { id: 'mending_moss', name: 'Mending Moss', spell_type: 'heal', difficulty: 'medium', max_value: 18, max_targets: 1, targets_all: false },
+    { id: 'barkskin_ward', name: 'Barkskin Ward', spell_type: 'shield', difficulty: 'easy', max_value: 100, max_targets: 1, targets_all: false },
+];
+
+const LOCAL_INCANTATIONS = {
+    easy: [
+        'spark and ember take flight',
+        'little fox of flame',
+        'bark and root hold fast',
+        'glow of the hollow moon',
+    ],
+    medium: [
+        'by the whispering willow I call the dart of dawn',
+        'moss and mist mend what the storm has torn',
+        'faelight gather in my palm and fly true',
+    ],
+    hard: [
+        'heartwood awaken, let the ancient grove bellow its wrath upon my foes',
+        'brambles of the thornwild, rise and lash at every wizard in the circle',
+        'from the deepest root to the highest bough, the forest answers my summons',
+    ],
+};
+
+const LOCAL_HAUNT_TYPES = [
+    {
+        haunt_type: 'accuracy_penalty',
+        name: 'Curse of Imprecision',
+        description: "Out-type your victim to weaken the spell they cast.",
+        penalty_value: `-${LOCAL_ACCURACY_CURSE * 100}% spell effectiveness`,
+    },
+    {
+        haunt_type: 'speed_penalty',
+        name: 'Chains of Lethargy',
+        description: "Out-type your victim to slow their casting.",
+        penalty_value: `+${LOCAL_SPEED_CURSE_SECONDS}s cast delay`,
+    },
+];
+
+// ============================================
+// Helpers
+// ============================================
+
+function localRandomChoice(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function localRandomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+function localGraphemes(text) {
+    const normalized = text.normalize('NFC');
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        return Array.from(segmenter.segment(normalized), segment => segment.segment);
+    }
+    return Array.from(normalized);
+}
+
+/**
+ * Position-by-position accuracy of a typed string against its incantation,
+ * counted in graphemes so accented and non-Latin incantations score fairly.
+ */
+function localTypingAccuracy(expected, typed) {
+    const expectedChars = localGraphemes(expected);
+    const typedChars = localGraphemes(typed);
+    if (expectedChars.length === 0) {
+        return 1;
+    }
+    let correct = 0;
+    for (let i = 0; i < expectedChars.length; i++) {
+        if (typedChars[i] === expectedChars[i]) {
+            correct++;
+        }
+    }
+    return correct / expectedChars.length;
+}
+
+/**
+ * A numeric room setting rounded and clamped to its limits,
+ * or the fallback when the value is not a number at all.
+ */
+function localClampSetting(value, limits, fallback) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(limits.max, Math.max(limits.min, Math.round(number)));
+}
+
+function localWpm(text, timeMs) {
+    if (!timeMs) {
+        return 0;
+    }
+    return (text.length / 5) / (timeMs / 60000);
+}
+
+// ============================================
+// Simulated Game Server
+// ============================================
+
+const localGameServer = {
+    room: null,
+    transport: null,
+    phaseTimer: null,
+    botTimers: [],
+    nextPlayerId: 1,
+    chatSentAt: [],
+    lastEmoteAt: 0,
+
+    handleMessage(transport, msg) {
+        switch (msg.type) {
+            case 'list_rooms':
+                transport.deliver({ type: 'room_list', rooms: this.listRooms() });
+                break;
+            case 'join_room':
+                this.joinRoom(transport, msg);
+                break;
+            case 'spectate_room':
+                this.spectateRoom(transport, msg);
+                break;
+            case 'rejoin_room':
+                this.rejoinRoom(transport, msg);
+                break;
+            case 'update_settings':
+                this.updateSettings(transport, this.humanId(), msg.settings || {});
+                break;
+            case 'set_ready':
+                this.setReady(this.humanId(), msg.ready);
+                break;
+            case 'start_game':
+                this.requestStart(transport, this.humanId());
+                break;
+            case 'select_spell':
+                this.selectSpell(this.humanId(), msg.spell_id);
+                break;
+            case 'select_target':
+                this.selectTarget(this.humanId(), msg.target_ids);
+                break;
+            case 'submit_typing':
+                this.submitTyping(this.humanId(), msg.typed_text, msg.completion_time_ms);
+                break;
+            case 'typing_progress':
+                // Relayed to the other humans in a real room; here there are none
+                break;
+            case 'select_haunt_type':
+                this.selectHauntType(this.humanId(), msg.haunt_type);
+                break;
+            case 'select_haunt_target':
+                this.selectHauntTarget(this.humanId(), msg.target_id);
+                break;
+            case 'submit_ghost_typing':
+                this.submitGhostTyping(this.humanId(), msg.typed_text, msg.completion_time_ms);
+                break;
+            case 'chat':
+                this.chat(msg.text);
+                break;
+            case 'emote':
+                this.emote(this.humanId(), msg.emote);
+                break;
+            case 'play_again':
+                if (this.humanId()) {
+                    this.startGame();
+                }
+                break;
+            case 'ping':
+                transport.deliver({ type: 'pong', client_time: msg.client_time, server_time: Date.now() });
+                break;
+            default:
+                transport.deliver({ type: 'error', message: `Unknown message type: ${msg.type}` });
+        }
+    },
+
+    disconnect(transport) {
+        if (this.transport === transport) {
+            this.transport = null;
+        }
+    },
+
+    humanId() {
+        const human = this.room && this.room.players.find(p => !p.is_bot);
+        return human ? human.id : null;
+    },
+
+    createPlayer(name, isBot) {
+        return {
+            id: `local-${this.nextPlayerId++}`,
+            name,
+            is_bot: isBot,
+            hp: LOCAL_STARTING_HP,
+            max_hp: LOCAL_STARTING_HP,
+            is_alive: true,
+            is_ghost: false,
+            is_ready: isBot, // Bots never keep a lobby waiting
+            stats: null,
+        };
+    },
+
+    defaultSettings() {
+        return {
+            timer_seconds: LOCAL_DEFAULT_TIMER_SECONDS,
+            max_players: LOCAL_MAX_PLAYERS,
+            allowed_spells: LOCAL_SPELLS.map(s => s.id),
+            ghost_mode: true,
+            starting_hp: LOCAL_STARTING_HP,
+            private: false,
+        };
+    },
+
+    // --------------------------------------------
+    // Room management
+    // --------------------------------------------
+
+    /**
+     * Public rooms for the room browser. There is only ever one room
+     * here, and private rooms are left out so they stay code-only.
+     */
+    listRooms() {
+        const room = this.room;
+        if (!room || room.settings.private) {
+            return [];
+        }
+        return [{
+            room_id: room.room_id,
+            phase: room.phase === 'waiting_for_players' ? 'waiting_for_players' : 'in_game',
+            player_count: room.players.length,
+            min_players: LOCAL_MIN_PLAYERS,
+            max_players: room.settings.max_players,
+            timer_seconds: room.settings.timer_seconds,
+        }];
+    },
+
+    joinRoom(transport, msg) {
+        this.stopTimers();
+        this.transport = transport;
+
+        const human = this.createPlayer(msg.player_name, false);
+        const botNames = [...LOCAL_BOT_NAMES].sort(() => Math.random() - 0.5).slice(0, LOCAL_BOT_COUNT);
+        this.room = {
+            room_id: msg.room_id,
+            session_token: `local-session-${Date.now()}`,
+            host_id: human.id,
+            settings: this.defaultSettings(),
+            phase: 'waiting_for_players',
+            turn_number: 0,
+            phase_ends_at: null,
+            players: [human, ...botNames.map(name => this.createPlayer(name, true))],
+            spectators: [],
+            resolution: null,
+            winner: null,
+        };
+        this.room.players.forEach((player, index) => {
+            player.slot = index;
+        });
+
+        transport.deliver({
+            type: 'joined_room',
+            player_id: human.id,
+            room_id: this.room.room_id,
+            session_token: this.room.session_token,
+            room_state: this.buildRoomState(),
+        });
+    },
+
+    /**
+     * Watch a room of bots only. With no human to press Begin Game,
+     * the match starts itself after a short delay, and again after each
+     * game over.
+     */
+    spectateRoom(transport, msg) {
+        this.stopTimers();
+        this.transport = transport;
+
+        const spectator = { id: `local-${this.nextPlayerId++}`, name: msg.spectator_name };
+        const botNames = [...LOCAL_BOT_NAMES].sort(() => Math.random() - 0.5).slice(0, LOCAL_BOT_COUNT + 1);
+        const bots = botNames.map(name => this.createPlayer(name, true));
+        this.room = {
+            room_id: msg.room_id,
+            session_token: `local-session-${Date.now()}`,
+            host_id: bots[0].id,
+            settings: this.defaultSettings(),
+            phase: 'waiting_for_players',
+            turn_number: 0,
+            phase_ends_at: null,
+            players: bots,
+            spectators: [spectator],
+            resolution: null,
+            winner: null,
+        };
+        this.room.players.forEach((player, index) => {
+            player.slot = index;
+        });
+
+        transport.deliver({
+            type: 'joined_room',
+            player_id: spectator.id,
+            is_spectator: true,
+            room_id: this.room.room_id,
+            session_token: this.room.session_token,
+            room_state: this.buildRoomState(),
+        });
+        this.phaseTimer = setTimeout(() => this.startGame(), LOCAL_SPECTATE_START_DELAY_MS);
+    },
+
+    rejoinRoom(transport, msg) {
+        const room = this.room;
+        if (!room || room.room_id !== msg.room_id || room.session_token !== msg.session_token) {
+            transport.deliver({ type: 'error', message: 'Session expired.' });
+            return;
+        }
+
+        this.transport = transport;
+        transport.deliver({
+            type: 'joined_room',
+            player_id: msg.player_id,
+            is_spectator: room.spectators.some(s => s.id === msg.player_id),
+            room_id: room.room_id,
+            session_token: room.session_token,
+            room_state: this.buildRoomState(),
+        });
+        if (room.phase !== 'waiting_for_players') {
+            this.broadcastGame();
+        }
+    },
+
+    // --------------------------------------------
+    // Lobby
+    // --------------------------------------------
+
+    /**
+     * Host-only edits to the room settings while still in the lobby. Values
+     * are clamped to what this server supports; unknown keys are ignored.
+     */
+    updateSettings(transport, playerId, changes) {
+        const room = this.room;
+        if (!room || room.phase !== 'waiting_for_players') {
+            return;
+        }
+        if (playerId !== room.host_id) {
+            transport.deliver({ type: 'error', message: 'Only the host can change the room settings.' });
+            return;
+        }
+
+        const settings = room.settings;
+        if ('timer_seconds' in changes) {
+            settings.timer_seconds = localClampSetting(changes.timer_seconds, LOCAL_SETTING_LIMITS.timer_seconds, settings.timer_seconds);
+        }
+        if ('max_players' in changes) {
+            // Never below the wizards already seated
+            const limits = { ...LOCAL_SETTING_LIMITS.max_players };
+            limits.min = Math.max(limits.min, room.players.length);
+            settings.max_players = localClampSetting(changes.max_players, limits, settings.max_players);
+        }
+        if ('starting_hp' in changes) {
+            settings.starting_hp = localClampSetting(changes.starting_hp, LOCAL_SETTING_LIMITS.starting_hp, settings.starting_hp);
+        }
+        if (typeof changes.ghost_mode === 'boolean') {
+            settings.ghost_mode = changes.ghost_mode;
+        }
+        if (typeof changes.private === 'boolean') {
+            settings.private = changes.private;
+        }
+        if (Array.isArray(changes.allowed_spells)) {
+            const allowed = LOCAL_SPELLS.filter(s => changes.allowed_spells.includes(s.id)).map(s => s.id);
+            if (allowed.length > 0) {
+                settings.allowed_spells = allowed;
+            }
+        }
+
+        // Readiness was given for the old rules
+        for (const player of room.players) {
+            if (!player.is_bot) {
+                player.is_ready = false;
+            }
+        }
+        this.broadcastRoom();
+    },
+
+    setReady(playerId, ready) {
+        const player = this.findPlayer(playerId);
+        if (!player || this.room.phase !== 'waiting_for_players') {
+            return;
+        }
+        player.is_ready = Boolean(ready);
+        this.broadcastRoom();
+    },
+
+    requestStart(transport, playerId) {
+        const room = this.room;
+        if (!room || room.phase !== 'waiting_for_players') {
+            return;
+        }
+        if (playerId !== room.host_id) {
+            transport.deliver({ type: 'error', message: 'Only the host can start the game.' });
+            return;
+        }
+        if (room.players.length < LOCAL_MIN_PLAYERS || !room.players.every(p => p.is_ready)) {
+            transport.deliver({ type: 'error', message: 'Every wizard must be ready to start.' });
+            return;
+        }
+        this.startGame();
+    },
+
+    allowedSpells() {
+        const allowed = this.room.settings.allowed_spells;
+        return LOCAL_SPELLS.filter(s => allowed.includes(s.id));
+    },
+
+    startGame() {
+        const room = this.room;
+        if (!room) {
+            return;
+        }
+        this.stopTimers();
+
+        for (const player of room.players) {
+            player.hp = room.settings.starting_hp;
+            player.max_hp = room.settings.starting_hp;
+            player.is_alive = true;
+            player.is_ghost = false;
+            player.stats = {
+                wpm: [],
+                accuracy: [],
+                damage_dealt: 0,
+                damage_received: 0,
+                healing: 0,
+                spell_counts: {},
+            };
+        }
+        room.turn_number = 0;
+        room.winner = null;
+        this.startTurn();
+    },
+
+    stopTimers() {
+        if (this.phaseTimer) {
+            clearTimeout(this.phaseTimer);
+            this.phaseTimer = null;
+        }
+        this.botTimers.forEach(timer => clearTimeout(timer));
+        this.botTimers = [];
+    },
+
+    // --------------------------------------------
+    // Phase flow
+    // --------------------------------------------
+
+    startTurn() {
+        const room = this.room;
+        room.turn_number++;
+        room.resolution = null;
+
+        for (const player of room.players) {
+            player.spell_id = null;
+            player.target_ids = null;
+            player.incantation = null;
+            player.typing = null;
+            player.ghost = player.is_ghost
+                ? { haunt_type: null, target_id: null, typing: null }
+                : null;
+        }
+
+        this.beginPhase('spell_selection', room.settings.timer_seconds * 1000);
+    },
+
+    beginPhase(phase, durationMs) {
+        const room = this.room;
+        this.stopTimers();
+        room.phase = phase;
+        room.phase_ends_at = Date.now() + durationMs;
+        this.phaseTimer = setTimeout(() => this.onPhaseTimeout(), durationMs);
+
+        if (phase === 'typing') {
+            this.assignIncantations();
+        }
+
+        // Area, heal and shield spells need no targeting, so the phase may already be done
+        if (phase === 'target_selection' && this.isPhaseComplete()) {
+            this.checkPhaseComplete();
+            return;
+        }
+
+        this.scheduleBots();
+        this.broadcastGame();
+    },
+
+    onPhaseTimeout() {
+        this.phaseTimer = null;
+        const room = this.room;
+
+        switch (room.phase) {
+            case 'spell_selection':
+                for (const player of this.livingPlayers()) {
+                    if (!player.spell_id) {
+                        this.selectSpell(player.id, localRandomChoice(this.allowedSpells()).id, true);
+                    }
+                }
+                this.beginPhase('target_selection', room.settings.timer_seconds * 1000);
+                break;
+            case 'target_selection':
+                this.autoCompleteTargets();
+                this.beginPhase('typing', room.settings.timer_seconds * 1000);
+                break;
+            case 'typing':
+                for (const player of room.players) {
+                    if (player.is_alive && !player.typing) {
+                        player.typing = { accuracy: localTypingAccuracy(player.incantation, ''), time_ms: null, text: '' };
+                    }
+                    if (player.ghost && player.ghost.target_id && !player.ghost.typing) {
+                        player.ghost.typing = { accuracy: 0, time_ms: null, text: '' };
+                    }
+                }
+                this.resolveTurn();
+                break;
+            case 'resolution':
+                this.finishResolution();
+                break;
+        }
+    },
+
+    isPhaseComplete() {
+        const living = this.livingPlayers();
+        const ghosts = this.ghostPlayers();
+
+        switch (this.room.phase) {
+            case 'spell_selection':
+                return living.every(p => p.spell_id);
+            case 'target_selection':
+                return living.every(p => p.target_ids)
+                    && ghosts.every(p => p.ghost.haunt_type && p.ghost.target_id);
+            case 'typing':
+                return living.every(p => p.typing)
+                    && ghosts.every(p => !p.ghost.target_id || p.ghost.typing);
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Advance to the next phase once everyone has acted, otherwise just
+     * broadcast the updated ready flags.
+     */
+    checkPhaseComplete() {
+        const room = this.room;
+        if (!this.isPhaseComplete()) {
+            this.broadcastGame();
+            return;
+        }
+
+        switch (room.phase) {
+            case 'spell_selection':
+                this.beginPhase('target_selection', room.settings.timer_seconds * 1000);
+                break;
+            case 'target_selection':
+                this.beginPhase('typing', room.settings.timer_seconds * 1000);
+                break;
+            case 'typing':
+                this.resolveTurn();
+                break;
+        }
+    },
+
+    autoCompleteTargets() {
+        for (const player of this.livingPlayers()) {
+            if (!player.target_ids) {
+                const spell = LOCAL_SPELLS.find(s => s.id === player.spell_id);
+                const opponents = this.livingPlayers().filter(p => p.id !== player.id);
+                if (spell && (spell.spell_type === 'heal' || spell.spell_type === 'shield')) {
+                    player.target_ids = [player.id];
+                } else {
+                    player.target_ids = opponents.length > 0 ? [localRandomChoice(opponents).id] : [];
+                }
+            }
+        }
+        for (const ghost of this.ghostPlayers()) {
+            if (!ghost.ghost.haunt_type) {
+                ghost.ghost.haunt_type = localRandomChoice(LOCAL_HAUNT_TYPES).haunt_type;
+            }
+            if (!ghost.ghost.target_id) {
+                const victims = this.livingPlayers();
+                ghost.ghost.target_id = victims.length > 0 ? localRandomChoice(victims).id : null;
+            }
+        }
+    },
+
+    assignIncantations() {
+        for (const player of this.room.players) {
+            if (player.is_alive) {
+                const spell = LOCAL_SPELLS.find(s => s.id === player.spell_id) || LOCAL_SPELLS[0];
+                player.incantation = localRandomChoice(LOCAL_INCANTATIONS[spell.difficulty]);
+            } else if (player.ghost && player.ghost.target_id) {
+                player.incantation = localRandomChoice(LOCAL_INCANTATIONS.medium);
+            }
+        }
+    },
+
+    livingPlayers() {
+        return this.room.players.filter(p => p.is_alive);
+    },
+
+    ghostPlayers() {
+        return this.room.players.filter(p => p.is_ghost && p.ghost);
+    },
+
+    // --------------------------------------------
+    // Player actions
+    // --------------------------------------------
+
+    selectSpell(playerId, spellId, deferCheck = false) {
+        const player = this.findPlayer(playerId);
+        const spell = this.allowedSpells().find(s => s.id === spellId);
+        if (!player || !player.is_alive || !spell || this.room.phase !== 'spell_selection') {
+            return;
+        }
+        player.spell_id = spell.id;
+
+        // Area spells need no target selection; they resolve on their own
+        if (spell.targets_all) {
+            player.target_ids = this.livingPlayers().filter(p => p.id !== player.id).map(p => p.id);
+        }
+
+        if (!deferCheck) {
+            this.checkPhaseComplete();
+        }
+    },
+
+    selectTarget(playerId, targetIds) {
+        const player = this.findPlayer(playerId);
+        if (!player || !player.is_alive || player.target_ids || this.room.phase !== 'target_selection') {
+            return;
+        }
+        // Heals and shields may target their caster; attacks may not
+        const spell = LOCAL_SPELLS.find(s => s.id === player.spell_id);
+        const canTargetSelf = spell && (spell.spell_type === 'heal' || spell.spell_type === 'shield');
+        const valid = (targetIds || []).filter(id => {
+            const target = this.findPlayer(id);
+            return target && target.is_alive && (canTargetSelf || target.id !== player.id);
+        });
+        if (valid.length === 0) {
+            return;
+        }
+        player.target_ids = [...new Set(valid)].slice(0, spell ? spell.max_targets : 1);
+        this.checkPhaseComplete();
+    },
+
+    submitTyping(playerId, typedText, completionTimeMs) {
+        const player = this.findPlayer(playerId);
+        if (!player || !player.is_alive || player.typing || this.room.phase !== 'typing') {
+            return;
+        }
+        player.typing = {
+            accuracy: localTypingAccuracy(player.incantation, typedText || ''),
+            time_ms: completionTimeMs,
+            text: player.incantation,
+        };
+        this.checkPhaseComplete();
+    },
+
+    selectHauntType(playerId, hauntType) {
+        const player = this.findPlayer(playerId);
+        if (!player || !player.ghost || !LOCAL_HAUNT_TYPES.some(h => h.haunt_type === hauntType)) {
+            return;
+        }
+        player.ghost.haunt_type = hauntType;
+        this.checkPhaseComplete();
+    },
+
+    selectHauntTarget(playerId, targetId) {
+        const player = this.findPlayer(playerId);
+        const target = this.findPlayer(targetId);
+        if (!player || !player.ghost || !target || !target.is_alive) {
+            return;
+        }
+        player.ghost.target_id = target.id;
+        this.checkPhaseComplete();
+    },
+
+    submitGhostTyping(playerId, typedText, completionTimeMs) {
+        const player = this.findPlayer(playerId);
+        if (!player || !player.ghost || player.ghost.typing || this.room.phase !== 'typing') {
+            return;
+        }
+        player.ghost.typing = {
+            accuracy: localTypingAccuracy(player.incantation || '', typedText || ''),
+            time_ms: completionTimeMs,
+            text: player.incantation || '',
+        };
+        this.checkPhaseComplete();
+    },
+
+    // The human may be seated or watching; either can chat
+    chat(text) {
+        const room = this.room;
+        const sender = room && (this.findPlayer(this.humanId()) || room.spectators[0]);
+        const trimmed = typeof text === 'string' ? text.trim().slice(0, LOCAL_CHAT_MAX_LENGTH) : '';
+        if (!sender || !trimmed || !this.transport) {
+            return;
+        }
+
+        const now = Date.now();
+        this.chatSentAt = this.chatSentAt.filter(sentAt => now - sentAt < LOCAL_CHAT_RATE_WINDOW_MS);
+        if (this.chatSentAt.length >= LOCAL_CHAT_RATE_LIMIT) {
+            return;
+        }
+        this.chatSentAt.push(now);
+
+        this.transport.deliver({ type: 'chat', player_id: sender.id, player_name: sender.name, text: trimmed });
+    },
+
+    // Emotes are for reacting to the resolution, and only players send them
+    emote(playerId, emote) {
+        const player = this.findPlayer(playerId);
+        if (!player || !this.transport || this.room.phase !== 'resolution' || !LOCAL_EMOTES.includes(emote)) {
+            return;
+        }
+        if (!player.is_bot) {
+            const now = Date.now();
+            if (now - this.lastEmoteAt < LOCAL_EMOTE_COOLDOWN_MS) {
+                return;
+            }
+            this.lastEmoteAt = now;
+        }
+        this.transport.deliver({ type: 'emote', player_id: player.id, player_name: player.name, emote });
+    },
+
+    findPlayer(playerId) {
+        return this.room ? this.room.players.find(p => p.id === playerId) : null;
+    },
+
+    // --------------------------------------------
+    // Bot wizards
+    // --------------------------------------------
+
+    scheduleBots() {
+        const room = this.room;
+        const phase = room.phase;
+        const schedule = (delay, action) => {
+            this.botTimers.push(setTimeout(() => {
+                if (this.room === room && room.phase === phase) {
+                    action();
+                }
+            }, delay));
+        };
+
+        for (const bot of room.players.filter(p => p.is_bot)) {
+            if (phase === 'resolution' && Math.random() < LOCAL_BOT_EMOTE_CHANCE) {
+                schedule(localRandomBetween(1500, LOCAL_RESOLUTION_MS - 1500), () => {
+                    this.emote(bot.id, localRandomChoice(LOCAL_EMOTES));
+                });
+            }
+            if (bot.is_alive) {
+                this.scheduleLivingBot(bot, phase, schedule);
+            } else if (bot.ghost) {
+                this.scheduleGhostBot(bot, phase, schedule);
+            }
+        }
+    },
+
+    scheduleLivingBot(bot, phase, schedule) {
+        switch (phase) {
+            case 'spell_selection':
+                schedule(localRandomBetween(600, 2000), () => {
+                    this.selectSpell(bot.id, localRandomChoice(this.allowedSpells()).id);
+                });
+                break;
+            case 'target_selection':
+                schedule(localRandomBetween(400, 1500), () => {
+                    const spell = LOCAL_SPELLS.find(s => s.id === bot.spell_id);
+                    if (spell && (spell.spell_type === 'heal' || spell.spell_type === 'shield')) {
+                        this.selectTarget(bot.id, [bot.id]);
+                        return;
+                    }
+                    const opponents = this.livingPlayers().filter(p => p.id !== bot.id);
+                    const count = Math.min(opponents.length, spell ? spell.max_targets : 1);
+                    const picks = [...opponents].sort(() => Math.random() - 0.5).slice(0, count);
+                    if (picks.length > 0) {
+                        this.selectTarget(bot.id, picks.map(p => p.id));
+                    }
+                });
+                break;
+            case 'typing': {
+                const { text, timeMs } = this.simulateTyping(bot.incantation);
+                for (let at = LOCAL_PROGRESS_INTERVAL_MS; at < timeMs; at += LOCAL_PROGRESS_INTERVAL_MS) {
+                    schedule(at, () => this.sendTypingProgress(bot, text, at / timeMs, at));
+                }
+                schedule(timeMs, () => this.submitTyping(bot.id, text, timeMs));
+                break;
+            }
+        }
+    },
+
+    scheduleGhostBot(bot, phase, schedule) {
+        if (phase === 'spell_selection' || phase === 'target_selection') {
+            schedule(localRandomBetween(600, 1800), () => {
+                if (!bot.ghost.haunt_type) {
+                    this.selectHauntType(bot.id, localRandomChoice(LOCAL_HAUNT_TYPES).haunt_type);
+                }
+                const victims = this.livingPlayers();
+                if (!bot.ghost.target_id && victims.length > 0) {
+                    this.selectHauntTarget(bot.id, localRandomChoice(victims).id);
+                }
+            });
+        } else if (phase === 'typing' && bot.incantation) {
+            const { text, timeMs } = this.simulateTyping(bot.incantation);
+            schedule(timeMs, () => this.submitGhostTyping(bot.id, text, timeMs));
+        }
+    },
+
+    /**
+     * Report how far a bot has got, the way the server relays a player's
+     * typing_progress: numbers only, never the text itself.
+     */
+    sendTypingProgress(bot, text, fraction, elapsedMs) {
+        if (!this.transport) {
+            return;
+        }
+        const chars = localGraphemes(text);
+        const typedChars = chars.slice(0, Math.round(chars.length * fraction));
+        const typed = typedChars.join('');
+        // Score only the part typed so far, matched grapheme for grapheme
+        const expectedSoFar = localGraphemes(bot.incantation).slice(0, typedChars.length).join('');
+        const accuracy = typedChars.length > 0
+            ? localTypingAccuracy(expectedSoFar, typed)
+            : 1;
+        this.transport.deliver({
+            type: 'typing_progress',
+            player_id: bot.id,
+            progress: fraction,
+            accuracy,
+            wpm: localWpm(typed, elapsedMs),
+        });
+    },
+
+    /**
+     * Produce a bot's typed text and completion time for an incantation,
+     * at a random speed and with a sprinkling of typos.
+     */
+    simulateTyping(incantation) {
+        const wpm = localRandomBetween(30, 65);
+        const errorRate = localRandomBetween(0.01, 0.12);
+        const maxMs = this.room.settings.timer_seconds * 1000 - 250;
+        const timeMs = Math.min(maxMs, Math.round((incantation.length / 5) / wpm * 60000));
+
+        let text = '';
+        for (const char of incantation) {
+            text += Math.random() < errorRate ? '#' : char;
+        }
+        return { text, timeMs };
+    },
+
+    // --------------------------------------------
+    // Resolution
+    // --------------------------------------------
+
+    resolveTurn() {
+        const room = this.room;
+        const durationMs = room.settings.timer_seconds * 1000;
+        const casters = this.livingPlayers().filter(p => p.spell_id && p.typing);
+
+        const ghostHaunts = this.resolveHaunts(casters);
+        const curses = {};
+        for (const haunt of ghostHaunts) {
+            if (haunt.was_successful) {
+                curses[haunt.target_id] = haunt;
+            }
+        }
+
+        // Shields go up first, then heals land, then attacks in order of casting speed
+        const typeOrder = { shield: 0, heal: 1, attack: 2, attack_all: 2 };
+        const ordered = casters
+            .map(caster => {
+                const spell = LOCAL_SPELLS.find(s => s.id === caster.spell_id);
+                const curse = curses[caster.id];
+                let timeMs = caster.typing.time_ms === null ? durationMs : caster.typing.time_ms;
+                if (curse && curse.haunt_type === 'speed_penalty') {
+                    timeMs += curse.penalty_applied * 1000;
+                }
+                let effectiveness = caster.typing.accuracy * (1 - 0.5 * Math.min(1, timeMs / durationMs));
+                if (curse && curse.haunt_type === 'accuracy_penalty') {
+                    effectiveness *= 1 - curse.penalty_applied;
+                }
+                return { caster, spell, timeMs, effectiveness };
+            })
+            .sort((a, b) => (typeOrder[a.spell.spell_type] - typeOrder[b.spell.spell_type]) || (a.timeMs - b.timeMs));
+
+        const shields = {};
+        const effects = [];
+        for (const cast of ordered) {
+            if (!cast.caster.is_alive) {
+                continue;
+            }
+            effects.push(this.applySpell(cast, shields));
+        }
+
+        const accuracyPenalty = this.applyAccuracyPenalty(casters);
+
+        for (const player of room.players) {
+            if (player.typing && player.typing.time_ms) {
+                player.stats.wpm.push(localWpm(player.typing.text, player.typing.time_ms));
+            }
+            if (player.typing) {
+                player.stats.accuracy.push(player.typing.accuracy);
+            }
+            if (player.hp <= 0 && player.is_alive) {
+                player.hp = 0;
+                player.is_alive = false;
+                player.is_ghost = room.settings.ghost_mode;
+            }
+        }
+
+        room.resolution = {
+            effects,
+            ghost_haunts: ghostHaunts,
+            accuracy_penalty: accuracyPenalty,
+            duration_ms: LOCAL_RESOLUTION_MS,
+            schedule: this.buildResolutionSchedule(effects.length, Boolean(accuracyPenalty)),
+        };
+        this.beginPhase('resolution', LOCAL_RESOLUTION_MS);
+    },
+
+    /**
+     * When the client reveals each part of the resolution, in ms from its
+     * start: effects share the window evenly, with a last slot for the
+     * accuracy penalty.
+     */
+    buildResolutionSchedule(effectCount, hasPenalty) {
+        const slot = LOCAL_RESOLUTION_MS / Math.max(1, effectCount + (hasPenalty ? 1 : 0));
+        const effects = [];
+        for (let index = 0; index < effectCount; index++) {
+            effects.push({
+                caster_ms: Math.round((index + LOCAL_RESOLUTION_STAGES.caster) * slot),
+                spell_ms: Math.round((index + LOCAL_RESOLUTION_STAGES.spell) * slot),
+                targets_ms: Math.round((index + LOCAL_RESOLUTION_STAGES.targets) * slot),
+            });
+        }
+        return {
+            effects,
+            penalty_ms: hasPenalty ? Math.round(effectCount * slot) : null,
+        };
+    },
+
+    applySpell(cast, shields) {
+        const { caster, spell, effectiveness } = cast;
+        const value = Math.round(spell.max_value * effectiveness);
+        const targets = [];
+
+        caster.stats.spell_counts[spell.name] = (caster.stats.spell_counts[spell.name] || 0) + 1;
+
+        for (const targetId of caster.target_ids || []) {
+            const target = this.findPlayer(targetId);
+            if (!target || target.hp <= 0) {
+                continue;
+            }
+
+            const result = { target_id: target.id, target_name: target.name };
+            switch (spell.spell_type) {
+                case 'attack':
+                case 'attack_all': {
+                    const blocked = shields[target.id] || 0;
+                    const damage = Math.round(value * (1 - blocked / 100));
+                    target.hp = Math.max(0, target.hp - damage);
+                    caster.stats.damage_dealt += damage;
+                    target.stats.damage_received += damage;
+                    result.damage_dealt = damage;
+                    result.was_killed = target.hp <= 0;
+                    break;
+                }
+                case 'heal': {
+                    const healed = Math.min(value, target.max_hp - target.hp);
+                    target.hp += healed;
+                    caster.stats.healing += healed;
+                    result.healing_received = healed;
+                    break;
+                }
+                case 'shield': {
+                    const percent = Math.min(LOCAL_MAX_SHIELD_PERCENT, effectiveness * LOCAL_MAX_SHIELD_PERCENT);
+                    shields[target.id] = Math.max(shields[target.id] || 0, percent);
+                    result.shield_effectiveness = percent;
+                    break;
+                }
+            }
+            result.hp_after = target.hp;
+            targets.push(result);
+        }
+
+        return {
+            caster_id: caster.id,
+            caster_name: caster.name,
+            spell_id: spell.id,
+            spell_name: spell.name,
+            spell_type: spell.spell_type,
+            accuracy_percent: caster.typing.accuracy * 100,
+            stun_count: 0,
+            targets,
+        };
+    },
+
+    resolveHaunts(casters) {
+        const haunts = [];
+        for (const ghost of this.ghostPlayers()) {
+            const g = ghost.ghost;
+            const target = this.findPlayer(g.target_id);
+            if (!g.haunt_type || !target || !g.typing) {
+                continue;
+            }
+            const targetTyping = casters.includes(target) ? target.typing : { accuracy: 0, time_ms: null };
+
+            // The ghost wins on accuracy, with completion time breaking ties
+            const ghostTime = g.typing.time_ms === null ? Infinity : g.typing.time_ms;
+            const targetTime = targetTyping.time_ms === null ? Infinity : targetTyping.time_ms;
+            const wasSuccessful = g.typing.accuracy > targetTyping.accuracy
+                || (g.typing.accuracy === targetTyping.accuracy && ghostTime < targetTime);
+
+            haunts.push({
+                ghost_id: ghost.id,
+                ghost_name: ghost.name,
+                target_id: target.id,
+                target_name: target.name,
+                haunt_type: g.haunt_type,
+                was_successful: wasSuccessful,
+                penalty_applied: g.haunt_type === 'accuracy_penalty' ? LOCAL_ACCURACY_CURSE : LOCAL_SPEED_CURSE_SECONDS,
+                ghost_accuracy: g.typing.accuracy,
+                ghost_time_ms: g.typing.time_ms,
+                target_accuracy: targetTyping.accuracy,
+                target_time_ms: targetTyping.time_ms,
+            });
+        }
+        return haunts;
+    },
+
+    applyAccuracyPenalty(casters) {
+        const survivors = casters.filter(p => p.hp > 0);
+        if (survivors.length < 2) {
+            return null;
+        }
+        const worst = survivors.reduce((low, p) => (p.typing.accuracy < low.typing.accuracy ? p : low));
+        worst.hp = Math.max(0, worst.hp - LOCAL_ACCURACY_PENALTY_DAMAGE);
+        worst.stats.damage_received += LOCAL_ACCURACY_PENALTY_DAMAGE;
+
+        return {
+            player_id: worst.id,
+            player_name: worst.name,
+            accuracy_percent: worst.typing.accuracy * 100,
+            damage: LOCAL_ACCURACY_PENALTY_DAMAGE,
+            was_killed: worst.hp <= 0,
+            hp_after: worst.hp,
+        };
+    },
+
+    finishResolution() {
+        const room = this.room;
+        const living = this.livingPlayers();
+        if (living.length > 1) {
+            this.startTurn();
+            return;
+        }
+
+        this.stopTimers();
+        room.phase = 'game_over';
+        room.phase_ends_at = null;
+        room.winner = living.length === 1 ? living[0].id : null;
+        this.broadcastGame();
+
+        // No one is there to press Play Again in a bots-only room
+        if (!this.humanId()) {
+            this.phaseTimer = setTimeout(() => this.startGame(), LOCAL_SPECTATE_RESTART_DELAY_MS);
+        }
+    },
+
+    // --------------------------------------------
+    // State views
+    // --------------------------------------------
+
+    buildRoomState() {
+        const room = this.room;
+        return {
+            room_id: room.room_id,
+            phase: room.phase === 'waiting_for_players' ? 'waiting_for_players' : 'in_game',
+            host_id: room.host_id,
+            players: room.players.map(p => ({ id: p.id, name: p.name, slot: p.slot, is_ready: p.is_ready })),
+            spectator_count: room.spectators.length,
+            min_players: LOCAL_MIN_PLAYERS,
+            max_players: room.settings.max_players,
+            settings: room.settings,
+            spell_pool: LOCAL_SPELLS.map(s => ({ id: s.id, name: s.name, spell_type: s.spell_type })),
+        };
+    },
+
+    /**
+     * Build the game_update payload as seen by one player.
+     */
+    buildGameState(viewerId) {
+        const room = this.room;
+        const viewer = this.findPlayer(viewerId);
+
+        let typingPhase = null;
+        if (room.phase === 'typing' && viewer && viewer.incantation) {
+            typingPhase = {
+                incantation: viewer.incantation,
+                duration_ms: room.settings.timer_seconds * 1000,
+            };
+        }
+
+        return {
+            room_id: room.room_id,
+            turn_number: room.turn_number,
+            phase: room.phase,
+            phase_time_remaining_ms: room.phase_ends_at ? Math.max(0, room.phase_ends_at - Date.now()) : null,
+            phase_deadline_ms: room.phase_ends_at,
+            players: room.players.map(p => this.buildPlayerState(p)),
+            available_spells: this.allowedSpells(),
+            available_haunt_types: viewer && viewer.is_ghost ? LOCAL_HAUNT_TYPES : null,
+            typing_phase: typingPhase,
+            resolution: room.phase === 'resolution' ? room.resolution : null,
+            winner: room.winner,
+            player_stats: room.phase === 'game_over' ? this.buildPlayerStats() : null,
+        };
+    },
+
+    buildPlayerState(player) {
+        return {
+            id: player.id,
+            name: player.name,
+            slot: player.slot,
+            hp: player.hp,
+            max_hp: player.max_hp,
+            is_alive: player.is_alive,
+            is_ghost: player.is_ghost,
+            has_selected_spell: Boolean(player.spell_id),
+            has_selected_target: Boolean(player.target_ids),
+            has_finished_typing: Boolean(player.typing),
+            ghost_state: player.ghost ? {
+                has_selected_haunt_type: Boolean(player.ghost.haunt_type),
+                has_selected_target: Boolean(player.ghost.target_id),
+                has_finished_typing: Boolean(player.ghost.typing),
+                haunting_target_id: player.ghost.target_id,
+            } : null,
+        };
+    },
+
+    buildPlayerStats() {
+        return this.room.players.map(player => {
+            const stats = player.stats;
+            const average = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+            const topSpell = Object.entries(stats.spell_counts).sort((a, b) => b[1] - a[1])[0] || ['None', 0];
+            return {
+                player_id: player.id,
+                player_name: player.name,
+                avg_wpm: average(stats.wpm),
+                max_wpm: stats.wpm.length ? Math.max(...stats.wpm) : 0,
+                avg_accuracy: average(stats.accuracy),
+                total_damage_dealt: stats.damage_dealt,
+                total_damage_received: stats.damage_received,
+                total_healing: stats.healing,
+                top_spell: topSpell[0],
+                top_spell_count: topSpell[1],
+            };
+        });
+    },
+
+    broadcastRoom() {
+        if (!this.transport || !this.room) {
+            return;
+        }
+        this.transport.deliver({
+            type: 'room_update',
+            room_state: this.buildRoomState(),
+        });
+    },
+
+    broadcastGame() {
+        if (!this.transport || !this.room) {
+            return;
+        }
+        this.transport.deliver({
+            type: 'game_update',
+            game_state: this.buildGameState(this.humanId()),
+        });
+    },
+};
+
+// ============================================
+// Transport
+// ============================================
+
+/**
+ * Create a WebSocket-shaped connection to the local server.
+ * Exposes the same readyState / send / close / on* surface that
+ * game.js uses on a real WebSocket.
+ */
+function createLocalTransport() {
+    const transport = {
+        readyState: WebSocket.CONNECTING,
+        onopen: null,
+        onclose: null,
+        onerror: null,
+        onmessage: null,
+
+        send(data) {
+            if (transport.readyState !== WebSocket.OPEN) {
+                return;
+            }
+            const msg = JSON.parse(data);
+            setTimeout(() => localGameServer.handleMessage(transport, msg), LOCAL_LATENCY_MS);
+        },
+
+        close() {
+            if (transport.readyState === WebSocket.CLOSED) {
+                return;
+            }
+            transport.readyState = WebSocket.CLOSED;
+            localGameServer.disconnect(transport);
+            setTimeout(() => {
+                if (transport.onclose) transport.onclose();
+            }, 0);
+        },
+
+        // Server -> client delivery, serialized like a real socket frame
+        deliver(msg) {
+            if (transport.readyState !== WebSocket.OPEN) {
+                return;
+            }
+            const data = JSON.stringify(msg);
+            setTimeout(() => {
+                if (transport.onmessage) transport.onmessage({ data });
+            }, LOCAL_LATENCY_MS);
+        },
+    };
+
+    setTimeout(() => {
+        transport.readyState = WebSocket.OPEN;
+        if (transport.onopen) transport.onopen();
+    }, 0);
+
+    return transport;
+}
+
+function isLocalServerUrl(serverUrl) {
+    return serverUrl.trim().startsWith('local://');
+}
@@ -0,0 +1,682 @@
+/**
+ * Typomancers UI Text
+ *
+ * Message catalogs for every client locale. Messages use {name}
+ * placeholders; plural messages are objects keyed by Intl.PluralRules
+ * category and chosen by the {count} parameter. Keys missing from a
+ * locale fall back to English.
+ */
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        messages: {
+            common: {
+                you: '(You)',
+                yourself: 'Yourself',
+                unknown: 'Unknown',
+                seconds: '{seconds}s',
+                hp: '{hp} HP',
+                hp_of_max: '{hp} / {max} HP',
+                enter_key: 'Enter',
+            },
+            loading: {
+                start: 'Loading assets...',
+                progress: 'Loading assets... {percent}',
+                ready: 'Ready!',
+            },
+            landing: {
+                subtitle: 'Wizard Battle Arena',
+                language: 'Language',
+                reduce_motion: 'Reduce motion',
+                name_label: 'Wizard Name',
+                name_placeholder: 'Enter your name...',
+                server_label: 'Server URL (use wss:// for ngrok)',
+                room_label: 'Room Code',
+                room_placeholder: 'Enter room code...',
+                enter: 'Enter Arena',
+                watch: 'Watch',
+                quick_match: 'Quick Match',
+                history: 'Match History',
+                practice: 'Practice Offline vs Bots',
+                replay: 'Watch a Replay',
+                connecting: 'Connecting...',
+                fill_all_fields: 'Please fill in all fields',
+                invite_summary: 'Invited to room {room} on {server}. Check the server, then press Enter Arena.',
+                invite_timer: 'Rooms you host this visit use the invite\'s {seconds}s turn timer.',
+            },
+            sound: {
+                title: 'Sound',
+                master: 'Master',
+                music: 'Music',
+                effects: 'Effects',
+                mute: 'Mute all sound',
+            },
+            connection: {
+                failed: 'Failed to connect to server. Check the server URL and ensure the server is running.',
+                lost: 'Connection lost. Please refresh the page.',
+                reconnecting: 'Connection lost. Reconnecting (attempt {attempt}/{max})...',
+                reconnect_failed: 'Could not reconnect to the server.',
+                rejoin: '{message} Please join the room again.',
+            },
+            lobby: {
+                title: 'Waiting for Wizards...',
+                room: 'Room:',
+                waiting: 'Waiting for players...',
+                begin: 'Begin Game',
+                watching: {
+                    one: '👁 {count} watching',
+                    other: '👁 {count} watching',
+                },
+                spectating: 'Spectating - waiting for the players to begin ({current}/{max})',
+                need_players: {
+                    one: 'Need at least {count} player to start ({current}/{max})',
+                    other: 'Need at least {count} players to start ({current}/{max})',
+                },
+                ready_count: {
+                    one: '{ready} of {count} wizard ready (max {max})',
+                    other: '{ready} of {count} wizards ready (max {max})',
+                },
+                all_ready: 'Everyone is ready!',
+                waiting_for_host: 'Everyone is ready - waiting for {host} to begin',
+                host: '👑 Host',
+                is_ready: '✔ Ready',
+                not_ready: 'Not ready',
+                ready: 'Ready',
+                unready: 'Not Ready',
+                copy_invite: 'Copy invite link',
+                invite_copied: 'Invite link copied!',
+                copy_invite_prompt: 'Copy this invite link:',
+            },
+            settings: {
+                title: 'Room Settings',
+                host_note: 'You are the host. Changes apply to everyone.',
+                guest_note: 'Only the host can change these.',
+                timer: 'Turn timer (seconds)',
+                max_players: 'Max players',
+                starting_hp: 'Starting HP',
+                ghost_mode: 'Fallen wizards return as ghosts',
+                allowed_spells: 'Allowed spells',
+                private: 'Private room (hidden from the room list)',
+            },
+            rooms: {
+                title: 'Open Rooms',
+                find: 'Find Rooms',
+                hint: 'Look for rooms on the server above, or jump straight in with Quick Match.',
+                searching: 'Searching for rooms...',
+                found: {
+                    one: '{count} room found',
+                    other: '{count} rooms found',
+                },
+                none: 'No open rooms right now. Quick Match will start a new one.',
+                unavailable: 'This server did not answer with a room list.',
+                players: '{current}/{max} wizards (min {min})',
+                open: 'In lobby',
+                in_game: 'In game',
+                join: 'Join',
+            },
+            phases: {
+                waiting_for_players: 'Waiting for Players',
+                spell_selection: 'Spell Selection',
+                target_selection: 'Target Selection',
+                typing: 'Cast Your Spell!',
+                resolution: 'Spell Resolution',
+                game_over: 'Game Over',
+            },
+            game: {
+                turn: 'Turn',
+                spectating: '👁 Spectating',
+                replay: '⏵ Replay',
+                waiting: 'Waiting for other players...',
+            },
+            spectator: {
+                choosing_spells: 'The wizards are choosing their spells...',
+                choosing_targets: 'The wizards are choosing their targets...',
+                casting: 'The wizards are casting!',
+                ready_count: '{done} of {total} ready',
+            },
+            status: {
+                choosing_curse: 'Choosing curse...',
+                picking_victim: 'Picking victim...',
+                haunting: 'Haunting...',
+                curse_ready: 'Curse ready!',
+                ghost: 'Ghost',
+                defeated: 'Defeated',
+                spell_ready: 'Spell Ready',
+                choosing: 'Choosing...',
+                target_locked: 'Target Locked',
+                targeting: 'Targeting...',
+                done: 'Done!',
+                casting: 'Casting...',
+            },
+            spells: {
+                title: 'Choose Your Spell',
+                waiting: 'Waiting for other wizards to choose their spells...',
+                fallback_type: 'Spell',
+            },
+            spell_types: {
+                attack: 'Attack',
+                attack_all: 'Area Attack',
+                heal: 'Heal',
+                shield: 'Shield',
+            },
+            difficulty: {
+                easy: 'Easy',
+                medium: 'Medium',
+                hard: 'Hard',
+            },
+            targets: {
+                title: 'Choose Your Target',
+                title_heal: 'Choose Who to Heal',
+                title_shield: 'Choose Who to Shield',
+                hint: {
+                    one: 'Choose up to {count} target',
+                    other: 'Choose up to {count} targets',
+                },
+                confirm: 'Confirm Targets ({selected}/{max})',
+                area_strike: '{spell} will strike every rival wizard!',
+                waiting: 'Waiting for other wizards to choose their targets...',
+                chosen: 'Targeting: {names}',
+                heal_missing: '{hp} / {max} HP (-{missing})',
+                heal_full: '{hp} HP (full)',
+            },
+            typing: {
+                title: 'Cast Your Spell!',
+                prompt: 'Type this incantation:',
+                submit_early: 'Submit Early',
+                waiting: 'Waiting for other wizards to finish casting...',
+                cast: 'Spell cast! Waiting for others...',
+                progress_stats: '{wpm} WPM · {accuracy}',
+                no_shortcuts: 'No shortcuts, wizard! Type the incantation yourself.',
+            },
+            ghost: {
+                title: 'You are a Ghost!',
+                choose_haunt: 'Choose how to haunt the living:',
+                victim_title: 'Choose Your Victim',
+                victim_prompt: 'Select a living player to haunt:',
+                haunting: 'Haunting',
+                race_you: 'You',
+                typing_prompt: 'Type faster and more accurately to apply your curse!',
+                submit: 'Submit Haunt',
+                prepared: 'Your curse is prepared. Waiting for the living...',
+                preparing: 'Preparing haunting options...',
+                no_victims: 'No living players to haunt!',
+                waiting: 'Waiting for other players to finish...',
+                waiting_incantation: 'Waiting for incantation...',
+                sent: 'Curse sent! Waiting for the living to finish...',
+                target_hp: '{hp} / {max} HP ({percent})',
+            },
+            haunt_types: {
+                accuracy_penalty: 'Curse of Imprecision',
+                speed_penalty: 'Chains of Lethargy',
+            },
+            resolution: {
+                title: 'Spell Resolution',
+                pause: 'Pause',
+                resume: 'Resume',
+                skip: 'Skip to End',
+                replay: 'Replay Turn',
+                no_spells: 'No spells cast this turn.',
+                ghost_haunts: 'Ghost Haunts',
+                curse_applied: 'Curse Applied!',
+                resisted: 'Resisted!',
+                haunted: 'haunted',
+                ghost: 'Ghost',
+                target: 'Target',
+                did_not_finish: 'DNF',
+                accuracy_curse: '{name}: -{percent} spell effectiveness',
+                speed_curse: '{name}: +{seconds}s cast delay',
+                stunned: '⚡ Stunned {count}x (-{percent} effectiveness)',
+                accuracy: '{percent} accuracy',
+                damage: '-{amount} HP',
+                healing: '+{amount} HP',
+                shield: '{percent} shield',
+                defeated: 'DEFEATED!',
+                self: '↺ self',
+                penalty_title: 'Lowest Accuracy Penalty',
+                next_turn: 'Next turn in {seconds}s',
+            },
+            gameover: {
+                title: 'Game Over',
+                victor: 'The Victor:',
+                draw: 'No one (draw?)',
+                stats_title: 'Player Statistics',
+                avg_wpm: 'Avg WPM:',
+                max_wpm: 'Max WPM:',
+                avg_accuracy: 'Avg Accuracy:',
+                damage_dealt: 'Damage Dealt:',
+                damage_taken: 'Damage Taken:',
+                healing: 'Healing:',
+                top_spell: 'Top Spell:',
+                top_spell_value: '{spell} ({count}x)',
+                hp_remaining: '{hp} HP remaining',
+                play_again: 'Play Again',
+                download_replay: 'Download Replay',
+                history: 'Match History',
+            },
+            timeline: {
+                title: 'Match Timeline',
+                hp_chart: 'HP over time',
+                start: 'Start',
+                turn: 'Turn {turn}',
+                spells: {
+                    one: '{count} spell',
+                    other: '{count} spells',
+                },
+                haunts: {
+                    one: '{count} haunt',
+                    other: '{count} haunts',
+                },
+                defeated: '{names} defeated',
+                decisive: 'Decisive',
+                haunt_decided: 'Turn {turn}: {ghost} haunted {target} in the very turn {target} was defeated.',
+                penalty_killed: 'Turn {turn}: the lowest-accuracy penalty finished off {player}.',
+                penalties_decided: 'Turn {turn}: {player} fell, but would have survived without the {damage} damage from earlier accuracy penalties.',
+            },
+            chat: {
+                placeholder: 'Say something...',
+                send: 'Send',
+                mute: 'Mute {name}',
+                unmute: 'Unmute {name}',
+                too_fast: 'Slow down, wizard! Wait a moment before sending more.',
+            },
+            emotes: {
+                bar: 'Quick emotes',
+                wave: 'Wave',
+                laugh: 'Laugh',
+                wow: 'Wow',
+                angry: 'Grr',
+                sparkles: 'Magic!',
+                gg: 'Good game',
+            },
+            a11y: {
+                phase: 'Turn {turn}: {phase}',
+                time_left: {
+                    one: '{count} second left',
+                    other: '{count} seconds left',
+                },
+                typo: 'Typo in the incantation',
+                haunt: '{ghost} haunted {target}: {outcome}',
+                spell_cast: '{caster} cast {spell} at {accuracy} accuracy: {outcomes}.',
+                target_effect: '{target} {effect}',
+                penalty: '{player} had the lowest accuracy: {effect}.',
+                winner: 'Game over. {name} is the victor!',
+                draw: 'Game over. No one survived.',
+            },
+            replay: {
+                play: 'Play',
+                pause: 'Pause',
+                exit: 'Exit',
+                previous_turn: 'Previous turn',
+                next_turn: 'Next turn',
+                not_a_replay: 'That file is not a Typomancers replay.',
+                newer_version: 'This replay was recorded by a newer version of the game.',
+                no_updates: 'This replay contains no game updates.',
+                invalid_json: 'That file is not valid JSON.',
+            },
+            history: {
+                title: 'Match History',
+                loading: 'Loading your matches...',
+                empty: 'No finished matches yet. Play one and it will show up here.',
+                unavailable: 'Match history is not available in this browser.',
+                summary: {
+                    one: '{count} match played · {wins} won · avg {avg_wpm} WPM · best {best_wpm} WPM · {accuracy} accuracy',
+                    other: '{count} matches played · {wins} won · avg {avg_wpm} WPM · best {best_wpm} WPM · {accuracy} accuracy',
+                },
+                wpm_trend: 'Average WPM per match',
+                accuracy_trend: 'Average accuracy per match',
+                date: 'Date',
+                room: 'Room',
+                result: 'Result',
+                turns: 'Turns',
+                avg_wpm: 'Avg WPM',
+                avg_accuracy: 'Accuracy',
+                opponents: 'Opponents',
+                results: {
+                    won: 'Won',
+                    lost: 'Lost',
+                    draw: 'Draw',
+                },
+                export_json: 'Export JSON',
+                export_csv: 'Export CSV',
+                back: 'Back',
+            },
+        },
+    },
+
+    es: {
+        name: 'Español',
+        messages: {
+            common: {
+                you: '(Tú)',
+                yourself: 'Tú mismo',
+                unknown: 'Desconocido',
+                seconds: '{seconds} s',
+                hp: '{hp} PV',
+                hp_of_max: '{hp} / {max} PV',
+                enter_key: 'Intro',
+            },
+            loading: {
+                start: 'Cargando recursos...',
+                progress: 'Cargando recursos... {percent}',
+                ready: '¡Listo!',
+            },
+            landing: {
+                subtitle: 'Arena de Duelos de Magos',
+                language: 'Idioma',
+                reduce_motion: 'Reducir animaciones',
+                name_label: 'Nombre de mago',
+                name_placeholder: 'Escribe tu nombre...',
+                server_label: 'URL del servidor (usa wss:// para ngrok)',
+                room_label: 'Código de sala',
+                room_placeholder: 'Escribe el código de sala...',
+                enter: 'Entrar a la arena',
+                watch: 'Mirar',
+                quick_match: 'Partida rápida',
+                history: 'Historial de partidas',
+                practice: 'Practicar sin conexión contra bots',
+                replay: 'Ver una repetición',
+                connecting: 'Conectando...',
+                fill_all_fields: 'Rellena todos los campos',
+                invite_summary: 'Te invitan a la sala {room} en {server}. Comprueba el servidor y pulsa Entrar a la arena.',
+                invite_timer: 'Las salas que crees en esta visita usarán el temporizador de {seconds} s de la invitación.',
+            },
+            sound: {
+                title: 'Sonido',
+                master: 'General',
+                music: 'Música',
+                effects: 'Efectos',
+                mute: 'Silenciar todo',
+            },
+            connection: {
+                failed: 'No se pudo conectar al servidor. Revisa la URL y asegúrate de que el servidor esté en marcha.',
+                lost: 'Se perdió la conexión. Recarga la página.',
+                reconnecting: 'Se perdió la conexión. Reconectando (intento {attempt}/{max})...',
+                reconnect_failed: 'No se pudo reconectar al servidor.',
+                rejoin: '{message} Vuelve a unirte a la sala.',
+            },
+            lobby: {
+                title: 'Esperando a los magos...',
+                room: 'Sala:',
+                waiting: 'Esperando jugadores...',
+                begin: 'Empezar partida',
+                watching: {
+                    one: '👁 {count} espectador',
+                    other: '👁 {count} espectadores',
+                },
+                spectating: 'Mirando: esperando a que los jugadores empiecen ({current}/{max})',
+                need_players: {
+                    one: 'Se necesita al menos {count} jugador para empezar ({current}/{max})',
+                    other: 'Se necesitan al menos {count} jugadores para empezar ({current}/{max})',
+                },
+                ready_count: {
+                    one: '{ready} de {count} mago listo (máx. {max})',
+                    other: '{ready} de {count} magos listos (máx. {max})',
+                },
+                all_ready: '¡Todos están listos!',
+                waiting_for_host: 'Todos están listos: esperando a que {host} empiece',
+                host: '👑 Anfitrión',
+                is_ready: '✔ Listo',
+                not_ready: 'No listo',
+                ready: 'Listo',
+                unready: 'No estoy listo',
+                copy_invite: 'Copiar enlace de invitación',
+                invite_copied: '¡Enlace de invitación copiado!',
+                copy_invite_prompt: 'Copia este enlace de invitación:',
+            },
+            settings: {
+                title: 'Ajustes de la sala',
+                host_note: 'Eres el anfitrión. Los cambios se aplican a todos.',
+                guest_note: 'Solo el anfitrión puede cambiar esto.',
+                timer: 'Tiempo por turno (segundos)',
+                max_players: 'Máximo de jugadores',
+                starting_hp: 'PV iniciales',
+                ghost_mode: 'Los magos caídos vuelven como fantasmas',
+                allowed_spells: 'Hechizos permitidos',
+                private: 'Sala privada (oculta en la lista de salas)',
+            },
+            rooms: {
+                title: 'Salas abiertas',
+                find: 'Buscar salas',
+                hint: 'Busca salas en el servidor de arriba o entra directamente con Partida rápida.',
+                searching: 'Buscando salas...',
+                found: {
+                    one: '{count} sala encontrada',
+                    other: '{count} salas encontradas',
+                },
+                none: 'No hay salas abiertas ahora mismo. Partida rápida creará una nueva.',
+                unavailable: 'Este servidor no respondió con una lista de salas.',
+                players: '{current}/{max} magos (mín. {min})',
+                open: 'En la sala de espera',
+                in_game: 'En partida',
+                join: 'Unirse',
+            },
+            phases: {
+                waiting_for_players: 'Esperando jugadores',
+                spell_selection: 'Elección de hechizo',
+                target_selection: 'Elección de objetivo',
+                typing: '¡Lanza tu hechizo!',
+                resolution: 'Resolución de hechizos',
+                game_over: 'Fin de la partida',
+            },
+            game: {
+                turn: 'Turno',
+                spectating: '👁 Mirando',
+                replay: '⏵ Repetición',
+                waiting: 'Esperando a los demás jugadores...',
+            },
+            spectator: {
+                choosing_spells: 'Los magos están eligiendo sus hechizos...',
+                choosing_targets: 'Los magos están eligiendo sus objetivos...',
+                casting: '¡Los magos están conjurando!',
+                ready_count: '{done} de {total} listos',
+            },
+            status: {
+                choosing_curse: 'Eligiendo maldición...',
+                picking_victim: 'Eligiendo víctima...',
+                haunting: 'Acechando...',
+                curse_ready: '¡Maldición lista!',
+                ghost: 'Fantasma',
+                defeated: 'Derrotado',
+                spell_ready: 'Hechizo listo',
+                choosing: 'Eligiendo...',
+                target_locked: 'Objetivo fijado',
+                targeting: 'Apuntando...',
+                done: '¡Hecho!',
+                casting: 'Conjurando...',
+            },
+            spells: {
+                title: 'Elige tu hechizo',
+                waiting: 'Esperando a que los demás magos elijan sus hechizos...',
+                fallback_type: 'Hechizo',
+            },
+            spell_types: {
+                attack: 'Ataque',
+                attack_all: 'Ataque en área',
+                heal: 'Curación',
+                shield: 'Escudo',
+            },
+            difficulty: {
+                easy: 'Fácil',
+                medium: 'Media',
+                hard: 'Difícil',
+            },
+            targets: {
+                title: 'Elige tu objetivo',
+                title_heal: 'Elige a quién curar',
+                title_shield: 'Elige a quién proteger',
+                hint: {
+                    one: 'Elige hasta {count} objetivo',
+                    other: 'Elige hasta {count} objetivos',
+                },
+                confirm: 'Confirmar objetivos ({selected}/{max})',
+                area_strike: '¡{spell} golpeará a todos los magos rivales!',
+                waiting: 'Esperando a que los demás magos elijan sus objetivos...',
+                chosen: 'Objetivos: {names}',
+                heal_missing: '{hp} / {max} PV (-{missing})',
+                heal_full: '{hp} PV (completo)',
+            },
+            typing: {
+                title: '¡Lanza tu hechizo!',
+                prompt: 'Escribe este conjuro:',
+                submit_early: 'Enviar ya',
+                waiting: 'Esperando a que los demás magos terminen de conjurar...',
+                cast: '¡Hechizo lanzado! Esperando a los demás...',
+                progress_stats: '{wpm} PPM · {accuracy}',
+                no_shortcuts: '¡Sin atajos, mago! Escribe el conjuro tú mismo.',
+            },
+            ghost: {
+                title: '¡Eres un fantasma!',
+                choose_haunt: 'Elige cómo acechar a los vivos:',
+                victim_title: 'Elige a tu víctima',
+                victim_prompt: 'Selecciona a un jugador vivo para acechar:',
+                haunting: 'Acechando a',
+                race_you: 'Tú',
+                typing_prompt: '¡Escribe más rápido y con más precisión para aplicar tu maldición!',
+                submit: 'Enviar acecho',
+                prepared: 'Tu maldición está preparada. Esperando a los vivos...',
+                preparing: 'Preparando opciones de acecho...',
+                no_victims: '¡No quedan jugadores vivos que acechar!',
+                waiting: 'Esperando a que los demás jugadores terminen...',
+                waiting_incantation: 'Esperando el conjuro...',
+                sent: '¡Maldición enviada! Esperando a que los vivos terminen...',
+                target_hp: '{hp} / {max} PV ({percent})',
+            },
+            haunt_types: {
+                accuracy_penalty: 'Maldición de la Imprecisión',
+                speed_penalty: 'Cadenas del Letargo',
+            },
+            resolution: {
+                title: 'Resolución de hechizos',
+                pause: 'Pausa',
+                resume: 'Reanudar',
+                skip: 'Saltar al final',
+                replay: 'Repetir turno',
+                no_spells: 'Nadie lanzó hechizos este turno.',
+                ghost_haunts: 'Acechos fantasmales',
+                curse_applied: '¡Maldición aplicada!',
+                resisted: '¡Resistida!',
+                haunted: 'acechó a',
+                ghost: 'Fantasma',
+                target: 'Objetivo',
+                did_not_finish: 'No terminó',
+                accuracy_curse: '{name}: -{percent} de efectividad del hechizo',
+                speed_curse: '{name}: +{seconds} s de retraso al conjurar',
+                stunned: '⚡ Aturdido {count} veces (-{percent} de efectividad)',
+                accuracy: '{percent} de precisión',
+                damage: '-{amount} PV',
+                healing: '+{amount} PV',
+                shield: '{percent} de escudo',
+                defeated: '¡DERROTADO!',
+                self: '↺ a sí mismo',
+                penalty_title: 'Penalización por menor precisión',
+                next_turn: 'Siguiente turno en {seconds} s',
+            },
+            gameover: {
+                title: 'Fin de la partida',
+                victor: 'El vencedor:',
+                draw: 'Nadie (¿empate?)',
+                stats_title: 'Estadísticas de los jugadores',
+                avg_wpm: 'PPM media:',
+                max_wpm: 'PPM máxima:',
+                avg_accuracy: 'Precisión media:',
+                damage_dealt: 'Daño causado:',
+                damage_taken: 'Daño recibido:',
+                healing: 'Curación:',
+                top_spell: 'Hechizo favorito:',
+                top_spell_value: '{spell} ({count} veces)',
+                hp_remaining: '{hp} PV restantes',
+                play_again: 'Jugar otra vez',
+                download_replay: 'Descargar repetición',
+                history: 'Historial de partidas',
+            },
+            timeline: {
+                title: 'Cronología de la partida',
+                hp_chart: 'PV a lo largo de la partida',
+                start: 'Inicio',
+                turn: 'Turno {turn}',
+                spells: {
+                    one: '{count} hechizo',
+                    other: '{count} hechizos',
+                },
+                haunts: {
+                    one: '{count} acecho',
+                    other: '{count} acechos',
+                },
+                defeated: 'Derrotados: {names}',
+                decisive: 'Decisivo',
+                haunt_decided: 'Turno {turn}: {ghost} acechó a {target} justo en el turno de su derrota.',
+                penalty_killed: 'Turno {turn}: la penalización por menor precisión acabó con {player}.',
+                penalties_decided: 'Turno {turn}: {player} cayó, pero habría sobrevivido sin los {damage} de daño de penalizaciones anteriores.',
+            },
+            chat: {
+                placeholder: 'Di algo...',
+                send: 'Enviar',
+                mute: 'Silenciar a {name}',
+                unmute: 'Dejar de silenciar a {name}',
+                too_fast: '¡Más despacio, mago! Espera un momento antes de enviar más.',
+            },
+            emotes: {
+                bar: 'Emotes rápidos',
+                wave: 'Saludar',
+                laugh: 'Reír',
+                wow: '¡Guau!',
+                angry: 'Grr',
+                sparkles: '¡Magia!',
+                gg: 'Buena partida',
+            },
+            a11y: {
+                phase: 'Turno {turn}: {phase}',
+                time_left: {
+                    one: 'Queda {count} segundo',
+                    other: 'Quedan {count} segundos',
+                },
+                typo: 'Error en el conjuro',
+                haunt: '{ghost} acechó a {target}: {outcome}',
+                spell_cast: '{caster} lanzó {spell} con {accuracy} de precisión: {outcomes}.',
+                target_effect: '{target} {effect}',
+                penalty: '{player} tuvo la menor precisión: {effect}.',
+                winner: 'Fin de la partida. ¡{name} es el vencedor!',
+                draw: 'Fin de la partida. Nadie sobrevivió.',
+            },
+            replay: {
+                play: 'Reproducir',
+                pause: 'Pausa',
+                exit: 'Salir',
+                previous_turn: 'Turno anterior',
+                next_turn: 'Turno siguiente',
+                not_a_replay: 'Ese archivo no es una repetición de Typomancers.',
+                newer_version: 'Esta repetición se grabó con una versión más reciente del juego.',
+                no_updates: 'Esta repetición no contiene actualizaciones de partida.',
+                invalid_json: 'Ese archivo no es un JSON válido.',
+            },
+            history: {
+                title: 'Historial de partidas',
+                loading: 'Cargando tus partidas...',
+                empty: 'Aún no hay partidas terminadas. Juega una y aparecerá aquí.',
+                unavailable: 'El historial de partidas no está disponible en este navegador.',
+                summary: {
+                    one: '{count} partida jugada · {wins} ganadas · media {avg_wpm} PPM · mejor {best_wpm} PPM · {accuracy} de precisión',
+                    other: '{count} partidas jugadas · {wins} ganadas · media {avg_wpm} PPM · mejor {best_wpm} PPM · {accuracy} de precisión',
+                },
+                wpm_trend: 'PPM media por partida',
+                accuracy_trend: 'Precisión media por partida',
+                date: 'Fecha',
+                room: 'Sala',
+                result: 'Resultado',
+                turns: 'Turnos',
+                avg_wpm: 'PPM media',
+                avg_accuracy: 'Precisión',
+                opponents: 'Rivales',
+                results: {
+                    won: 'Victoria',
+                    lost: 'Derrota',
+                    draw: 'Empate',
+                },
+                export_json: 'Exportar JSON',
+                export_csv: 'Exportar CSV',
+                back: 'Volver',
+            },
+        },
+    },
+};
@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+/**
+ * Typomancers Headless Bot
+ *
+ * Scripted opponents that speak the same protocol as game.js, for filling
+ * lobbies and load-testing a server. Each bot joins a room, plays every
+ * phase (including ghost haunts once defeated) and reports its outcome.
+ *
+ * Usage:
+ *   node tools/bot.js --server ws://localhost:8080 --room test --count 3 --start
+ *
+ * Options:
+ *   --server <url>         Server URL (default ws://localhost:8080)
+ *   --room <code>          Room code to join (default bots)
+ *   --count <n>            Number of bots to run in parallel (default 1)
+ *   --name <prefix>        Bot name prefix (default Bot)
+ *   --timer <seconds>      Turn timer a bot sets when it hosts the room (default 30)
+ *   --wpm <n>              Mean typing speed (default 45)
+ *   --accuracy <0..1>      Per-character accuracy (default 0.95)
+ *   --spells <pref>        attack | attack_all | heal | shield | balanced | random (default balanced)
+ *   --targeting <mode>     weakest | strongest | random (default weakest)
+ *   --haunt <type>         accuracy_penalty | speed_penalty | random | idle (default random)
+ *   --games <n>            Games to play before leaving (default 1)
+ *   --start                First bot sends start_game once it hosts and everyone is ready
+ *   --timeout <seconds>    Give up after this long (default 600)
+ *   --json                 Print the outcome report as JSON
+ *
+ * Requirements: Node 22+ (which has a global WebSocket), or an older Node
+ * with the `ws` package installed where require() can find it, e.g.
+ * `npm install --no-save ws` in this directory.
+ */
+
+'use strict';
+
+const WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : loadWsPackage();
+
+function loadWsPackage() {
+    try {
+        return require('ws');
+    } catch (err) {
+        console.error(`This Node (${process.version}) has no global WebSocket and the \`ws\` package is not installed.`);
+        console.error('Use Node 22+, or run `npm install --no-save ws` in tools/ and try again.');
+        process.exit(1);
+    }
+}
+
+const DEFAULT_CONFIG = {
+    server: 'ws://localhost:8080',
+    room: 'bots',
+    count: 1,
+    name: 'Bot',
+    timer: 30,
+    wpm: 45,
+    accuracy: 0.95,
+    spells: 'balanced',
+    targeting: 'weakest',
+    haunt: 'random',
+    games: 1,
+    start: false,
+    timeout: 600,
+    json: false,
+};
+
+// Keys next to each other on a QWERTY keyboard, for believable typos
+const NEIGHBOR_KEYS = {
+    a: 'qwsz', b: 'vghn', c: 'xdfv', d: 'serfcx', e: 'wsdr', f: 'drtgvc', g: 'ftyhbv',
+    h: 'gyujnb', i: 'ujko', j: 'huikmn', k: 'jiolm', l: 'kop', m: 'njk', n: 'bhjm',
+    o: 'iklp', p: 'ol', q: 'wa', r: 'edft', s: 'awedxz', t: 'rfgy', u: 'yhji',
+    v: 'cfgb', w: 'qase', x: 'zsdc', y: 'tghu', z: 'asx',
+};
+
+const HAUNT_TYPES = ['accuracy_penalty', 'speed_penalty'];
+
+// ============================================
+// Helpers
+// ============================================
+
+function randomChoice(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+function normalizeServerUrl(serverUrl) {
+    let wsUrl = serverUrl.trim();
+    if (wsUrl.startsWith('https://')) {
+        wsUrl = 'wss://' + wsUrl.slice(8);
+    } else if (wsUrl.startsWith('http://')) {
+        wsUrl = 'ws://' + wsUrl.slice(7);
+    } else if (!wsUrl.startsWith('ws://') && !wsUrl.startsWith('wss://')) {
+        wsUrl = 'ws://' + wsUrl;
+    }
+    return wsUrl;
+}
+
+/**
+ * Simulate typing an incantation at the given speed and accuracy.
+ * Returns the typed text and how long it took, capped to the phase duration.
+ */
+function simulateTyping(incantation, { wpm, accuracy, maxMs }) {
+    let typed = '';
+    for (const char of incantation) {
+        if (char !== ' ' && Math.random() > accuracy) {
+            const neighbors = NEIGHBOR_KEYS[char.toLowerCase()];
+            typed += neighbors ? randomChoice(neighbors) : char;
+        } else {
+            typed += char;
+        }
+    }
+
+    // Vary speed a little from turn to turn
+    const effectiveWpm = Math.max(5, wpm * randomBetween(0.85, 1.15));
+    const timeMs = Math.round((incantation.length / 5) / effectiveWpm * 60000);
+    return { typedText: typed, timeMs: Math.min(timeMs, maxMs) };
+}
+
+// ============================================
+// Bot
+// ============================================
+
+/**
+ * Create a bot that plays a single seat. Call `run()` to connect; the
+ * returned promise resolves with the bot's outcome once it leaves.
+ */
+function createBot(name, config, { sendsStart = false } = {}) {
+    const bot = {
+        name,
+        ws: null,
+        playerId: null,
+        roomState: null,
+        gameState: null,
+        lastSpell: null,
+        acted: new Set(),
+        timers: [],
+        gamesPlayed: 0,
+        done: false, // Set once the bot has left, cleanly or not
+        outcome: {
+            name,
+            player_id: null,
+            games: [],
+            errors: [],
+        },
+    };
+
+    function send(message) {
+        if (bot.ws && bot.ws.readyState === WebSocketImpl.OPEN) {
+            bot.ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Run an action once per turn and phase, after a human-like pause
+    function actOnce(key, delayMs, action) {
+        if (bot.acted.has(key)) {
+            return;
+        }
+        bot.acted.add(key);
+        bot.timers.push(setTimeout(action, delayMs));
+    }
+
+    function self() {
+        return bot.gameState.players.find(p => p.id === bot.playerId);
+    }
+
+    function chooseSpell(game, me) {
+        const spells = game.available_spells || [];
+        const byType = type => spells.filter(s => s.spell_type === type);
+        let candidates = [];
+
+        switch (config.spells) {
+            case 'random':
+                candidates = spells;
+                break;
+            case 'balanced':
+                if (me.hp / me.max_hp < 0.4) {
+                    candidates = byType('heal').concat(byType('shield'));
+                }
+                if (candidates.length === 0) {
+                    candidates = byType('attack').concat(byType('attack_all'));
+                }
+                break;
+            default:
+                candidates = byType(config.spells);
+        }
+
+        return randomChoice(candidates.length > 0 ? candidates : spells);
+    }
+
+    function chooseTarget(candidates) {
+        if (candidates.length === 0) {
+            return null;
+        }
+        switch (config.targeting) {
+            case 'strongest':
+                return candidates.reduce((best, p) => (p.hp > best.hp ? p : best));
+            case 'random':
+                return randomChoice(candidates);
+            default:
+                return candidates.reduce((best, p) => (p.hp < best.hp ? p : best));
+        }
+    }
+
+    function handleGameUpdate(game) {
+        bot.gameState = game;
+        if (!bot.playerId) {
+            return;
+        }
+
+        const me = self();
+        if (!me) {
+            return;
+        }
+        const turnKey = `${bot.gamesPlayed}:${game.turn_number}`;
+
+        if (game.phase === 'game_over') {
+            finishGame(game);
+            return;
+        }
+
+        if (me.is_ghost) {
+            playGhost(game, me, turnKey);
+            return;
+        }
+        if (!me.is_alive) {
+            return;
+        }
+
+        switch (game.phase) {
+            case 'spell_selection':
+                if (!me.has_selected_spell) {
+                    actOnce(`${turnKey}:spell`, randomBetween(300, 1500), () => {
+                        const spell = chooseSpell(bot.gameState, self());
+                        if (spell) {
+                            bot.lastSpell = spell;
+                            send({ type: 'select_spell', spell_id: spell.id });
+                        }
+                    });
+                }
+                break;
+            case 'target_selection':
+                if (!me.has_selected_target) {
+                    actOnce(`${turnKey}:target`, randomBetween(200, 1000), () => {
+                        const opponents = bot.gameState.players.filter(p => p.is_alive && p.id !== bot.playerId);
+                        const spell = bot.lastSpell || {};
+                        const targetsAll = spell.targets_all !== undefined ? spell.targets_all : spell.spell_type === 'attack_all';
+                        const targetIds = [];
+                        if (spell.spell_type === 'heal' || spell.spell_type === 'shield') {
+                            // Heals and shields go on ourselves
+                            targetIds.push(bot.playerId);
+                        } else if (targetsAll) {
+                            targetIds.push(...opponents.map(p => p.id));
+                        } else {
+                            // Pick the best remaining candidate up to the spell's target limit
+                            const remaining = [...opponents];
+                            for (let i = 0; i < (spell.max_targets || 1) && remaining.length > 0; i++) {
+                                const target = chooseTarget(remaining);
+                                targetIds.push(target.id);
+                                remaining.splice(remaining.indexOf(target), 1);
+                            }
+                        }
+                        if (targetIds.length > 0) {
+                            send({ type: 'select_target', target_ids: targetIds });
+                        }
+                    });
+                }
+                break;
+            case 'typing':
+                if (!me.has_finished_typing && game.typing_phase) {
+                    const { typedText, timeMs } = simulateTyping(game.typing_phase.incantation, {
+                        wpm: config.wpm,
+                        accuracy: config.accuracy,
+                        maxMs: typingBudget(game),
+                    });
+                    actOnce(`${turnKey}:typing`, timeMs, () => {
+                        send({ type: 'submit_typing', typed_text: typedText, completion_time_ms: timeMs });
+                    });
+                }
+                break;
+        }
+    }
+
+    function playGhost(game, me, turnKey) {
+        const gs = me.ghost_state;
+        if (!gs || config.haunt === 'idle') {
+            return;
+        }
+
+        if (!gs.has_selected_haunt_type && game.available_haunt_types) {
+            actOnce(`${turnKey}:haunt_type`, randomBetween(300, 1200), () => {
+                const offered = (bot.gameState.available_haunt_types || []).map(h => h.haunt_type);
+                const hauntType = offered.includes(config.haunt)
+                    ? config.haunt
+                    : randomChoice(offered.length > 0 ? offered : HAUNT_TYPES);
+                send({ type: 'select_haunt_type', haunt_type: hauntType });
+            });
+        } else if (gs.has_selected_haunt_type && !gs.has_selected_target) {
+            actOnce(`${turnKey}:haunt_target`, randomBetween(300, 1200), () => {
+                const living = bot.gameState.players.filter(p => p.is_alive && p.id !== bot.playerId);
+                const target = chooseTarget(living);
+                if (target) {
+                    send({ type: 'select_haunt_target', target_id: target.id });
+                }
+            });
+        } else if (game.phase === 'typing' && !gs.has_finished_typing && game.typing_phase) {
+            const { typedText, timeMs } = simulateTyping(game.typing_phase.incantation, {
+                wpm: config.wpm,
+                accuracy: config.accuracy,
+                maxMs: typingBudget(game),
+            });
+            actOnce(`${turnKey}:ghost_typing`, timeMs, () => {
+                send({ type: 'submit_ghost_typing', typed_text: typedText, completion_time_ms: timeMs });
+            });
+        }
+    }
+
+    function typingBudget(game) {
+        const remaining = game.phase_time_remaining_ms;
+        const duration = game.typing_phase ? game.typing_phase.duration_ms : config.timer * 1000;
+        return Math.max(0, (remaining !== undefined && remaining !== null ? remaining : duration) - 250);
+    }
+
+    function finishGame(game) {
+        const key = `${bot.gamesPlayed}:game_over`;
+        if (bot.acted.has(key)) {
+            return;
+        }
+        bot.acted.add(key);
+
+        const me = self();
+        const stats = (game.player_stats || []).find(s => s.player_id === bot.playerId) || null;
+        // A field the server leaves out reads as null, like missing stats
+        const stat = field => (stats && typeof stats[field] === 'number' ? stats[field] : null);
+        let result = 'lost';
+        if (!game.winner) {
+            result = 'draw';
+        } else if (game.winner === bot.playerId) {
+            result = 'won';
+        }
+
+        bot.outcome.games.push({
+            result,
+            turns: game.turn_number,
+            final_hp: me ? me.hp : null,
+            avg_wpm: stat('avg_wpm'),
+            avg_accuracy: stat('avg_accuracy'),
+            damage_dealt: stat('total_damage_dealt'),
+        });
+        bot.gamesPlayed++;
+
+        if (bot.gamesPlayed < config.games) {
+            actOnce(`${bot.gamesPlayed}:play_again`, randomBetween(500, 2000), () => {
+                send({ type: 'play_again' });
+            });
+        } else {
+            leave();
+        }
+    }
+
+    /**
+     * Bots are always ready. Readiness resets whenever the host changes the
+     * settings, so this runs on every room update.
+     */
+    function handleLobby() {
+        const room = bot.roomState;
+        if (!room || room.phase !== 'waiting_for_players') {
+            return;
+        }
+        const me = room.players.find(p => p.id === bot.playerId);
+        if (me && !me.is_ready) {
+            send({ type: 'set_ready', ready: true });
+        }
+
+        if (room.host_id !== bot.playerId) {
+            return;
+        }
+        // Hold the start until the server has answered our one settings change
+        if (room.settings && room.settings.timer_seconds !== config.timer && !bot.acted.has('update_settings')) {
+            actOnce('update_settings', 0, () => send({ type: 'update_settings', settings: { timer_seconds: config.timer } }));
+            return;
+        }
+        const everyoneReady = room.players.every(p => p.is_ready);
+        if (sendsStart && everyoneReady && room.players.length >= Math.max(room.min_players, config.count)) {
+            actOnce('start_game', 500, () => send({ type: 'start_game' }));
+        }
+    }
+
+    function handleServerMessage(msg) {
+        switch (msg.type) {
+            case 'joined_room':
+                bot.playerId = msg.player_id;
+                bot.outcome.player_id = msg.player_id;
+                bot.roomState = msg.room_state;
+                handleLobby();
+                if (bot.gameState) {
+                    handleGameUpdate(bot.gameState);
+                }
+                break;
+            case 'room_update':
+                bot.roomState = msg.room_state;
+                handleLobby();
+                break;
+            case 'game_update':
+                handleGameUpdate(msg.game_state);
+                break;
+            case 'error':
+                bot.outcome.errors.push(msg.message);
+                break;
+        }
+    }
+
+    let resolveRun = null;
+
+    function leave() {
+        bot.done = true;
+        bot.timers.forEach(timer => clearTimeout(timer));
+        bot.timers = [];
+        if (bot.ws) {
+            const ws = bot.ws;
+            bot.ws = null;
+            ws.close();
+        }
+        if (resolveRun) {
+            resolveRun(bot.outcome);
+            resolveRun = null;
+        }
+    }
+
+    bot.run = () => new Promise(resolve => {
+        resolveRun = resolve;
+
+        const ws = new WebSocketImpl(normalizeServerUrl(config.server));
+        bot.ws = ws;
+
+        ws.onopen = () => {
+            send({
+                type: 'join_room',
+                room_id: config.room,
+                player_name: name,
+            });
+        };
+        ws.onmessage = (event) => {
+            handleServerMessage(JSON.parse(event.data));
+        };
+        ws.onerror = () => {
+            bot.outcome.errors.push('Connection error');
+        };
+        ws.onclose = () => {
+            if (bot.ws === ws) {
+                bot.outcome.errors.push('Connection closed by server');
+                bot.ws = null;
+                leave();
+            }
+        };
+    });
+
+    // A bot that already left keeps its outcome as it was
+    bot.stop = (reason) => {
+        if (bot.done) {
+            return;
+        }
+        bot.outcome.errors.push(reason);
+        leave();
+    };
+
+    return bot;
+}
+
+// ============================================
+// Runner
+// ============================================
+
+/**
+ * Run `config.count` bots in parallel against one room and resolve with
+ * every bot's outcome.
+ */
+async function runBots(options = {}) {
+    const config = { ...DEFAULT_CONFIG, ...options };
+    const bots = [];
+    for (let i = 0; i < config.count; i++) {
+        bots.push(createBot(`${config.name} ${i + 1}`, config, { sendsStart: config.start && i === 0 }));
+    }
+
+    const deadline = setTimeout(() => {
+        bots.filter(bot => !bot.done).forEach(bot => bot.stop('Timed out'));
+    }, config.timeout * 1000);
+
+    // Stagger joins slightly so the lobby fills in a stable order
+    const runs = bots.map((bot, i) => new Promise(resolve => {
+        setTimeout(() => bot.run().then(resolve), i * 100);
+    }));
+    const outcomes = await Promise.all(runs);
+    clearTimeout(deadline);
+    return outcomes;
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            continue;
+        }
+        const key = arg.slice(2);
+        if (!(key in DEFAULT_CONFIG)) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+        if (typeof DEFAULT_CONFIG[key] === 'boolean') {
+            options[key] = true;
+        } else if (typeof DEFAULT_CONFIG[key] === 'number') {
+            options[key] = Number(argv[++i]);
+            if (Number.isNaN(options[key])) {
+                throw new Error(`Option ${arg} expects a number`);
+            }
+        } else {
+            options[key] = argv[++i];
+        }
+    }
+    return options;
+}
+
+function printReport(outcomes) {
+    for (const outcome of outcomes) {
+        const games = outcome.games.map(g => {
+            const wpm = typeof g.avg_wpm === 'number' ? `${g.avg_wpm.toFixed(1)} wpm` : 'n/a';
+            return `${g.result} in ${g.turns} turns (${g.final_hp} HP, ${wpm})`;
+        });
+        console.log(`${outcome.name}: ${games.length > 0 ? games.join('; ') : 'no games finished'}`);
+        for (const error of outcome.errors) {
+            console.log(`  ! ${error}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+    }
+
+    runBots(options).then(outcomes => {
+        if (options.json) {
+            console.log(JSON.stringify(outcomes, null, 2));
+        } else {
+            printReport(outcomes);
+        }
+        const failed = outcomes.some(o => o.games.length === 0);
+        process.exit(failed ? 1 : 0);
+    });
+}
+
+module.exports = { createBot, runBots, simulateTyping, DEFAULT_CONFIG };